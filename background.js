@@ -1,35 +1,87 @@
 // Background script for the Chrome extension (Manifest V3)
-console.log('Smart Social Filter background script loaded');
+importScripts(
+  'shared/rules.js',
+  'shared/sites.js',
+  'background/providers.js',
+  'background/verdict-cache.js',
+  'background/scheduler.js',
+  'background/images.js',
+  'background/batch-prompt.js',
+  'background/gloss.js',
+  'background/feedback.js',
+  'background/prefilter.js',
+  'background/history.js',
+  'background/schedules.js'
+);
 
-// API configuration - using OpenAI GPT-4o mini (fast and cheap)
-// const API_URL = 'https://api.openai.com/v1/chat/completions';
-// const MODEL_NAME = 'gpt-4o-mini';
-// const API_KEY = ''; // Replace with your actual API key
+console.log('Smart Social Filter background script loaded');
 
+// Provider, model and API keys are configured on the options page and kept in
+// chrome.storage.local (see getProviderConfig in background/providers.js).
 
-const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
-const MODEL_NAME = 'gemini-1.5-flash-latest';
-const API_KEY = ''; // Get from Google AI Studio
+// All model calls from every tab go through one queue
+const requestScheduler = new RequestScheduler(analyzeBatchWithAPI);
 
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Smart Social Filter extension installed');
   
-  // Initialize default filters if none exist
-  chrome.storage.sync.get(['filters'], (result) => {
-    if (!result.filters) {
-      chrome.storage.sync.set({ 
-        filters: [] 
-      });
-    }
+  // Initialize default filters if none exist, and migrate plain-string
+  // filters from older versions to rule objects
+  loadRules().then(rebuildFeedbackMenu).then(scheduleNextSwitch).catch(error => {
+    console.error('Error migrating filters:', error);
+  });
+});
+
+// Alarms survive restarts, but the rules may have changed while the browser was closed
+chrome.runtime.onStartup.addListener(() => {
+  scheduleNextSwitch().catch(error => {
+    console.error('Error scheduling filters:', error);
+  });
+});
+
+// The feedback menu and the schedule alarm follow the rules
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.filters) {
+    rebuildFeedbackMenu().catch(error => {
+      console.error('Error updating feedback menu:', error);
+    });
+    scheduleNextSwitch().catch(error => {
+      console.error('Error scheduling filters:', error);
+    });
+  }
+});
+
+// A schedule started or ended, or focus mode ran out
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    console.log('⏰ Filter schedule changed');
+    notifyContextChange().then(scheduleNextSwitch).catch(error => {
+      console.error('Error switching filter schedule:', error);
+    });
+  } else if (alarm.name === FOCUS_ALARM) {
+    console.log('⏰ Focus mode ended');
+    stopFocusMode().catch(error => {
+      console.error('Error ending focus mode:', error);
+    });
+  }
+});
+
+// The content script knows which post was right-clicked
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const [menuId, ruleId] = String(info.menuItemId).split(':');
+  if (menuId !== FEEDBACK_MENU_ID || !ruleId || !tab) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: 'markMissed', ruleId }, { frameId: info.frameId || 0 }).catch(() => {
+    // Content script not loaded in this tab
   });
 });
 
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'getFilters') {
-    chrome.storage.sync.get(['filters'], (result) => {
-      sendResponse({ filters: result.filters || [] });
+    loadRules().then(filters => {
+      sendResponse({ filters });
     });
     return true;
   } else if (message.action === 'checkAPI') {
@@ -40,9 +92,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ available: false, error: error.message });
     });
     return true;
+  } else if (message.action === 'getProviders') {
+    sendResponse(describeProviders());
+  } else if (message.action === 'listModels') {
+    // Options page asks for the models available with the (possibly unsaved) settings
+    getProviderConfig(message.settings).then(config => {
+      return getProvider(config.provider).listModels(config);
+    }).then(models => {
+      sendResponse({ models });
+    }).catch(error => {
+      sendResponse({ models: [], error: error.message });
+    });
+    return true;
   } else if (message.action === 'filterBatch') {
-    // Filter multiple tweets in a single API call
-    analyzeBatchWithAPI(message.tweets, message.filters).then(results => {
+    // Filter multiple tweets, answering from the verdict cache where possible.
+    // Anything not cached comes back pending and is delivered later.
+    filterBatch(message.tweets, message.filters, sender, message.filterVersion).then(results => {
       sendResponse(results);
     }).catch(error => {
       // Return error result for each tweet in batch
@@ -55,6 +120,85 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse(errorResults);
     });
     return true;
+  } else if (message.action === 'setPriority') {
+    // Queued tweets that scrolled near to or far from the viewport
+    requestScheduler.setPriority(message.near || [], PRIORITY_NEAR);
+    requestScheduler.setPriority(message.far || [], PRIORITY_FAR);
+    sendResponse({ success: true });
+  } else if (message.action === 'getHistory') {
+    // Statistics dashboard
+    Promise.all([verdictHistory.get(), loadRules()]).then(([history, rules]) => {
+      sendResponse({ ...history, rules });
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+    return true;
+  } else if (message.action === 'setHistoryRetention') {
+    verdictHistory.setRetention(message.days).then(retentionDays => {
+      sendResponse({ retentionDays });
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+    return true;
+  } else if (message.action === 'clearHistory') {
+    verdictHistory.clear().then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'addFeedback') {
+    // "Wrongly filtered" from an overlay, or "Should have been filtered" from the context menu
+    feedbackStore.add(message.tweet, message.ruleId, message.kind).then(entry => {
+      sendResponse({ success: true, entry });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'listFeedback') {
+    Promise.all([feedbackStore.list(), loadRules()]).then(([entries, rules]) => {
+      sendResponse({ entries, rules });
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+    return true;
+  } else if (message.action === 'removeFeedback') {
+    feedbackStore.remove(message.id).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'getFocusMode') {
+    getFocusMode().then(sendResponse);
+    return true;
+  } else if (message.action === 'startFocusMode') {
+    // Popup's focus toggle; focus-only rules apply until it runs out
+    startFocusMode(message.minutes).then(sendResponse).catch(error => {
+      sendResponse({ active: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'stopFocusMode') {
+    stopFocusMode().then(sendResponse).catch(error => {
+      sendResponse({ active: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'importFeedback') {
+    // Corrections from an imported configuration file (see popup.js)
+    feedbackStore.import(message.entries || [], { replace: !!message.replace }).then(count => {
+      sendResponse({ success: true, count });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.action === 'glossPost') {
+    // "Show in English" on the overlay of a post in another language
+    glossPost(message.tweet).then(gloss => {
+      sendResponse({ gloss });
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+    return true;
   } else if (message.action === 'filterContent') {
     // Legacy single tweet filtering (still supported)
     analyzeContentWithAPI(message.text, message.filters).then(result => {
@@ -71,42 +215,146 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Settle what the local pre-filter can, serve what we can from the verdict
+// cache and queue the rest with the request scheduler. Queued tweets are
+// answered as pending right away; their verdicts are pushed to the tab (see
+// deliverVerdict) as each one streams in, then once more when the model's
+// whole response has been checked. Only that final verdict is cached and
+// recorded. Failed verdicts (API or parse errors) are not cached so they get
+// retried. Every verdict is stamped with the tab's filter-set version, so it
+// can drop ones for rules it has since changed.
+async function filterBatch(tweets, filters, sender, filterVersion) {
+  if (!filters || filters.length === 0) {
+    return analyzeBatchWithAPI(tweets, filters);
+  }
+
+  const decisions = await prefilterBatch(tweets, filters);
+  const results = decisions.map(decision => decision.verdict || null);
+  results.forEach((verdict, index) => verdictHistory.recordVerdict(tweets[index], verdict, filters).catch(error => console.error('Failed to record verdict:', error)));
+  console.log(`Pre-filter: ${results.filter(Boolean).length} of ${tweets.length} settled locally`);
+
+  // Only model rules go into the prompt, and each remaining tweet only lists
+  // the ones the pre-filter left open
+  const modelFilters = filters.filter(isModelRule);
+  const open = decisions.flatMap((decision, index) => decision.ruleIds
+    ? [{ index, tweet: { ...tweets[index], ruleIds: decision.ruleIds } }]
+    : []);
+
+  // Key on the rules that actually apply to each tweet, so a rule scoped away
+  // from a tweet can change without throwing away that tweet's verdict
+  const keys = await Promise.all(open.map(async ({ tweet }) => {
+    const rules = rulesForTweet(tweet, modelFilters);
+    return verdictCacheKey(tweet, await hashFilters(rules, await feedbackStore.examplesFor(rules)));
+  }));
+  const cached = await Promise.all(keys.map(key => verdictCache.get(key)));
+
+  const misses = [];
+  open.forEach((entry, i) => {
+    if (cached[i]) {
+      results[entry.index] = { ...cached[i], cached: true };
+      verdictHistory.recordVerdict(entry.tweet, cached[i], filters).catch(error => console.error('Failed to record verdict:', error));
+    } else {
+      misses.push({ ...entry, key: keys[i] });
+    }
+  });
+  console.log(`Verdict cache: ${open.length - misses.length} hits, ${misses.length} misses`);
+
+  misses.forEach(({ index, tweet, key }) => {
+    results[index] = {
+      pending: true,
+      shouldFilter: false,
+      method: 'Queued',
+      reason: 'Waiting for analysis',
+      details: 'Queued for batch analysis'
+    };
+
+    const onStreamed = verdict => deliverVerdict(sender, tweet.id, { ...verdict, filterVersion });
+    requestScheduler.enqueue(key, tweet, modelFilters, onStreamed).then(verdict => {
+      if (!verdict.error) {
+        verdictCache.set(key, verdict);
+      }
+      return verdict;
+    }, error => ({
+      shouldFilter: false,
+      error: 'Batch API analysis failed',
+      method: 'Batch Error',
+      details: error.message
+    })).then(verdict => {
+      verdictHistory.recordVerdict(tweet, verdict, filters).catch(error => console.error('Failed to record verdict:', error));
+      deliverVerdict(sender, tweet.id, { ...verdict, filterVersion });
+    });
+  });
+
+  return results.map(result => ({ ...result, filterVersion }));
+}
+
+// Each tab's content script keeps a 'verdicts' port open so streamed
+// verdicts reach it as they're parsed. The port closes when the worker is
+// stopped; the tab reconnects with its next batch.
+const verdictPorts = new Map(); // "tabId:frameId" -> port
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== VERDICT_PORT || !port.sender || !port.sender.tab) return;
+
+  const target = `${port.sender.tab.id}:${port.sender.frameId || 0}`;
+  verdictPorts.set(target, port);
+  port.onDisconnect.addListener(() => {
+    if (verdictPorts.get(target) === port) verdictPorts.delete(target);
+  });
+});
+
+// Verdicts that are ready together (one chunk of a response, or a whole
+// response) go to each tab as one message, over its port when it has one
+const verdictOutbox = new Map();
+
+function deliverVerdict(sender, tweetId, verdict) {
+  if (!sender || !sender.tab) return;
+
+  const target = `${sender.tab.id}:${sender.frameId || 0}`;
+  if (!verdictOutbox.has(target)) {
+    verdictOutbox.set(target, []);
+    setTimeout(() => {
+      const message = { action: 'verdicts', verdicts: verdictOutbox.get(target) };
+      verdictOutbox.delete(target);
+
+      const port = verdictPorts.get(target);
+      if (port) {
+        try {
+          port.postMessage(message);
+          return;
+        } catch (error) {
+          // Disconnected in the meantime; fall back to a one-off message
+          verdictPorts.delete(target);
+        }
+      }
+      chrome.tabs.sendMessage(sender.tab.id, message, { frameId: sender.frameId || 0 })
+        .catch(() => {
+          // Tab was closed or navigated away before the verdicts arrived
+        });
+    }, 0);
+  }
+  verdictOutbox.get(target).push({ id: tweetId, verdict });
+}
+
 async function checkAPIStatus() {
-    if (!API_KEY || API_KEY === 'YOUR_GOOGLE_API_KEY') {
+    const config = await getProviderConfig();
+    const provider = getProvider(config.provider);
+
+    if (provider.requiresKey && !config.apiKey) {
       return {
         available: false,
-        error: 'API key not configured. Please add your Google AI API key to background.js'
+        error: `API key not configured. Please add your ${provider.label} API key in the extension options`
       };
     }
   
     try {
       // Test API with a simple request
-      const response = await fetch(`${API_URL}?key=${API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: 'test'
-            }]
-          }],
-          generationConfig: {
-            maxOutputTokens: 1,
-            temperature: 0.1
-          }
-        })
-      });
-  
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API error: ${error.error?.message || response.status}`);
-      }
+      await provider.checkStatus(config);
       
       return {
         available: true,
-        model: MODEL_NAME
+        provider: config.provider,
+        model: config.model
       };
     } catch (error) {
       return {
@@ -116,7 +364,11 @@ async function checkAPIStatus() {
     }
   }
   
-  async function analyzeBatchWithAPI(tweets, filters) {
+  // With onVerdict (and streaming on), each tweet's verdict is handed over as
+  // soon as its entry in the response is complete and valid. The returned
+  // verdicts still come from the whole response, so a tweet the model answered
+  // twice ends up with an error there even if its first answer was streamed.
+  async function analyzeBatchWithAPI(tweets, filters, onVerdict) {
     // If no filters, don't filter anything
     if (!filters || filters.length === 0) {
       return tweets.map(() => ({ 
@@ -127,100 +379,104 @@ async function checkAPIStatus() {
       }));
     }
   
-    // Create filter list
-    const filterList = filters.map((filter, index) => `${index + 1}. ${filter}`).join('\n');
+    const config = await getProviderConfig();
+    const provider = getProvider(config.provider);
     
-    // Create batch prompt with all tweets
-    const tweetsList = tweets.map((tweet, index) => 
-      `Tweet ${index + 1}: "${tweet.text}"${tweet.hasImages ? ' [Contains images]' : ''}`
-    ).join('\n\n');
+    // Vision-capable models get the tweets' pictures as inline image parts
+    const images = supportsVision(config) && tweets.some(tweet => tweet.hasImages)
+      ? await prepareTweetImages(tweets)
+      : [];
     
-    const prompt = `You are a content moderator for social media. Analyze these ${tweets.length} posts against the filter rules below.
-  
-  FILTER RULES:
-  ${filterList}
+    // Tweets and the user's corrections go in as a separate JSON payload,
+    // never into the instructions
+    const examples = await feedbackStore.examplesFor(filters);
+    const { instructions, input } = buildBatchPrompt(tweets, filters, images, examples);
   
-  POSTS TO ANALYZE:
-  ${tweetsList}
+    // Every attempt is logged for the dashboard, with the scheduler's estimate
+    // standing in when the API doesn't report token counts
+    let usage = null;
+    const recordCall = error => verdictHistory.recordCall({
+      provider: config.provider,
+      model: config.model,
+      tweets: tweets.length,
+      ...(usage || { inputTokens: estimateBatchTokens(tweets, filters), estimated: true }),
+      error
+    }).catch(error => console.error('Failed to record call:', error));
   
-  Instructions:
-  - Analyze EACH tweet against ALL filter rules
-  - Consider semantic meaning, euphemisms, context, sarcasm, and intent
-  - Look beyond just keywords - understand the real meaning
-  - Return results for ALL tweets in the EXACT same order (Tweet 1, Tweet 2, etc.)
-  - If multiple rules match for a tweet, choose the most relevant one
-  
-  Respond with ONLY this JSON format:
-  {
-    "results": [
-      {
-        "tweetIndex": 1,
-        "shouldFilter": true,
-        "matchedFilter": "exact text of matched filter",
-        "confidence": 85,
-        "reasoning": "brief explanation"
-      },
-      {
-        "tweetIndex": 2,
-        "shouldFilter": false,
-        "matchedFilter": null,
-        "confidence": 10,
-        "reasoning": "brief explanation"
+    const toVerdict = (apiResult, index) => {
+      if (apiResult.error) {
+        return {
+          error: apiResult.error,
+          shouldFilter: false,
+          ruleId: null,
+          imageTriggered: false,
+          confidence: '0%',
+          method: `${config.model} Batch API`,
+          reason: apiResult.error,
+          details: 'The model did not return a usable result for this post'
+        };
       }
-    ]
-  }`;
-  
+      
+      // Drop matches on rules that are scoped away from this tweet
+      const applicable = rulesForTweet(tweets[index], filters);
+      const rule = apiResult.matchedRule ? filters[apiResult.matchedRule - 1] : null;
+      const ruleApplies = !!rule && applicable.includes(rule);
+      const shouldFilter = !!apiResult.shouldFilter && ruleApplies;
+      const matchedRules = shouldFilter
+        ? apiResult.matchedRules.map(number => filters[number - 1]).filter(match => applicable.includes(match))
+        : [];
+      const imageTriggered = shouldFilter && !!apiResult.imageTriggered &&
+                             images.some(image => image.tweetIndex === index);
+      
+      return {
+        shouldFilter,
+        ruleId: ruleApplies ? rule.id : null,
+        imageTriggered,
+        confidence: `${Math.min(100, Math.max(1, apiResult.confidence || 50))}%`,
+        // "Vision" in the method is what the overlay keys its image note on
+        method: `${config.model} ${imageTriggered ? 'Vision ' : ''}Batch API`,
+        reason: ruleApplies ? rule.description : 'No filter matched',
+        details: apiResult.reasoning || 'Batch analysis completed',
+        // For the overlay's "Why?" panel: every rule that matched, and the
+        // words in the post that did
+        matchedRuleIds: matchedRules.map(match => match.id),
+        spans: shouldFilter ? apiResult.spans : []
+      };
+    };
+    
+    // Only a tweet's first entry is streamed, and only if it's valid
+    const stream = onVerdict && config.stream ? new BatchResultStream() : null;
+    const streamed = new Set();
+    const onText = stream && (text => {
+      stream.push(text).forEach(item => {
+        const index = item && item.tweetIndex;
+        if (!Number.isInteger(index) || index < 1 || index > tweets.length || streamed.has(index)) return;
+        streamed.add(index);
+        if (!validateResultItem(item, filters.length)) {
+          onVerdict(index - 1, toVerdict(normalizeResultItem(item), index - 1));
+        }
+      });
+    });
+    
     try {
-      const response = await fetch(`${API_URL}?key=${API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            maxOutputTokens: 300 + (tweets.length * 100), // Scale tokens with number of tweets
-            temperature: 0.1,
-            responseMimeType: "application/json"
-          }
-        })
+      const responseText = await provider.generate(config, instructions, {
+        input,
+        schema: BATCH_RESPONSE_SCHEMA,
+        maxOutputTokens: 300 + (tweets.length * 150), // Scale tokens with number of tweets
+        json: true,
+        images,
+        onUsage: reported => { usage = reported; },
+        ...(onText ? { onText } : {})
       });
-  
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API error: ${error.error?.message || response.status}`);
-      }
-  
-      const result = await response.json();
-      const responseText = result.candidates[0].content.parts[0].text.trim();
+      recordCall(null);
       
-      console.log('Batch Gemini API response:', responseText);
+      console.log(`Batch ${provider.label} API response:`, responseText);
       
-      // Parse JSON response
+      // Parse and validate; results are matched to tweets by tweetIndex only
       try {
-        const parsed = JSON.parse(responseText);
-        const apiResults = parsed.results || [];
-        
-        // Ensure we have results for all tweets
-        const processedResults = tweets.map((tweet, index) => {
-          const apiResult = apiResults.find(r => r.tweetIndex === (index + 1)) || 
-                           apiResults[index] || 
-                           { shouldFilter: false, confidence: 0, reasoning: 'No result returned' };
-          
-          return {
-            shouldFilter: apiResult.shouldFilter || false,
-            confidence: `${Math.min(100, Math.max(1, apiResult.confidence || 50))}%`,
-            method: `${MODEL_NAME} Batch API`,
-            reason: apiResult.matchedFilter || 'No filter matched',
-            details: apiResult.reasoning || 'Batch analysis completed'
-          };
-        });
+        const apiResults = parseBatchResponse(responseText, tweets.length, filters.length);
         
-        return processedResults;
+        return apiResults.map(toVerdict);
         
       } catch (parseError) {
         console.log('Batch JSON parse failed:', parseError);
@@ -228,75 +484,23 @@ async function checkAPIStatus() {
         // Return fallback results for all tweets
         return tweets.map(() => ({
           shouldFilter: false,
+          error: 'JSON parsing failed',
           confidence: '0%',
-          method: `${MODEL_NAME} Batch API - Parse Error`,
+          method: `${config.model} Batch API - Parse Error`,
           reason: 'JSON parsing failed',
           details: 'API returned invalid JSON format'
         }));
       }
     } catch (error) {
       console.error('Batch API error:', error);
+      recordCall(error.message);
       throw error;
     }
   }
   
-  // Legacy single tweet filtering (if needed)
+  // Legacy single tweet filtering (if needed). It's a batch of one, so the
+  // post goes to the active provider as data, apart from the instructions.
   async function analyzeContentWithAPI(text, filters) {
-    const filterList = filters.join(', ');
-    
-    const prompt = `Analyze this social media post against these filter rules: ${filterList}
-  
-  Post: "${text}"
-  
-  Should this be filtered? Consider semantic meaning and context, not just keywords.
-  
-  Respond with JSON: {"shouldFilter": true/false, "matchedFilter": "rule name or null", "confidence": 1-100, "reasoning": "brief explanation"}`;
-  
-    try {
-      const response = await fetch(`${API_URL}?key=${API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            maxOutputTokens: 200,
-            temperature: 0.1,
-            responseMimeType: "application/json"
-          }
-        })
-      });
-  
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API error: ${error.error?.message || response.status}`);
-      }
-  
-      const result = await response.json();
-      const responseText = result.candidates[0].content.parts[0].text.trim();
-      
-      const parsed = JSON.parse(responseText);
-      
-      return {
-        shouldFilter: parsed.shouldFilter || false,
-        confidence: `${parsed.confidence || 50}%`,
-        method: `${MODEL_NAME} API`,
-        reason: parsed.matchedFilter || 'No filter matched',
-        details: parsed.reasoning || 'Analysis completed'
-      };
-      
-    } catch (error) {
-      console.error('Single API error:', error);
-      return {
-        shouldFilter: false,
-        error: 'API analysis failed',
-        method: 'Error',
-        details: error.message
-      };
-    }
+    const [verdict] = await analyzeBatchWithAPI([{ id: 'single', text: String(text || ''), hasImages: false }], normalizeRules(filters));
+    return verdict;
   }
\ No newline at end of file
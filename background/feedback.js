@@ -0,0 +1,166 @@
+// User corrections to verdicts. "Wrongly filtered" (the rule fired but
+// shouldn't have) and "Should have been filtered" (it should have fired) are
+// kept per rule in chrome.storage.local. The most recent ones for each rule go
+// into the batch prompt as examples, and the pre-filter applies them to the
+// corrected tweet itself so it isn't sent to the model again.
+
+const FEEDBACK_KEY = 'ruleFeedback';
+const FEEDBACK_MAX_PER_RULE = 20;
+const FEEDBACK_EXAMPLES_PER_RULE = 4;
+const FEEDBACK_TEXT_LENGTH = 280;
+
+const FEEDBACK_KINDS = {
+  wronglyFiltered: 'Wrongly filtered',
+  missed: 'Should have been filtered'
+};
+
+class FeedbackStore {
+  constructor() {
+    this.entries = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (this.entries) return;
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get([FEEDBACK_KEY]).then(result => {
+        this.entries = result[FEEDBACK_KEY] || [];
+      });
+    }
+    await this.loading;
+  }
+
+  async add(tweet, ruleId, kind) {
+    if (!FEEDBACK_KINDS[kind]) throw new Error(`Unknown feedback kind: ${kind}`);
+    await this.load();
+
+    // A newer correction for the same tweet and rule replaces the old one
+    const entries = this.entries.filter(entry => !(entry.tweetId === tweet.id && entry.ruleId === ruleId));
+    const entry = {
+      id: `feedback-${crypto.randomUUID()}`,
+      at: Date.now(),
+      ruleId,
+      kind,
+      tweetId: tweet.id,
+      permalink: tweet.permalink || null,
+      author: tweet.author && tweet.author.handle || null,
+      text: (tweet.text || '').slice(0, FEEDBACK_TEXT_LENGTH)
+    };
+    entries.push(entry);
+
+    const forRule = entries.filter(candidate => candidate.ruleId === ruleId);
+    const dropped = new Set(forRule.slice(0, Math.max(0, forRule.length - FEEDBACK_MAX_PER_RULE)));
+    await this.save(entries.filter(candidate => !dropped.has(candidate)));
+    return entry;
+  }
+
+  async remove(id) {
+    await this.load();
+    await this.save(this.entries.filter(entry => entry.id !== id));
+  }
+
+  async list() {
+    await this.load();
+    return this.entries;
+  }
+
+  // Corrections from an imported configuration. Unless replacing, ones already
+  // saved for the same tweet and rule win; the per-rule limit still applies.
+  async import(entries, { replace = false } = {}) {
+    await this.load();
+    const kept = replace ? [] : this.entries;
+    const seen = new Set(kept.map(entry => `${entry.tweetId}:${entry.ruleId}`));
+    const imported = entries
+      .filter(entry => FEEDBACK_KINDS[entry.kind] && entry.ruleId && entry.tweetId)
+      .filter(entry => !seen.has(`${entry.tweetId}:${entry.ruleId}`))
+      .map(entry => ({
+        id: `feedback-${crypto.randomUUID()}`,
+        at: Number.isFinite(entry.at) ? entry.at : Date.now(),
+        ruleId: entry.ruleId,
+        kind: entry.kind,
+        tweetId: String(entry.tweetId),
+        permalink: typeof entry.permalink === 'string' ? entry.permalink : null,
+        author: typeof entry.author === 'string' ? entry.author : null,
+        text: String(entry.text || '').slice(0, FEEDBACK_TEXT_LENGTH)
+      }));
+
+    const merged = [...kept, ...imported].sort((a, b) => a.at - b.at);
+    const counts = new Map();
+    const limited = merged.reverse().filter(entry => {
+      const count = (counts.get(entry.ruleId) || 0) + 1;
+      counts.set(entry.ruleId, count);
+      return count <= FEEDBACK_MAX_PER_RULE;
+    }).reverse();
+
+    await this.save(limited);
+    return imported.filter(entry => limited.includes(entry)).length;
+  }
+
+  // tweet ID -> that tweet's corrections, for the pre-filter
+  async correctionsFor(tweets) {
+    await this.load();
+    const ids = new Set(tweets.map(tweet => tweet.id));
+    const byTweet = new Map();
+    this.entries.filter(entry => ids.has(entry.tweetId)).forEach(entry => {
+      byTweet.set(entry.tweetId, [...(byTweet.get(entry.tweetId) || []), entry]);
+    });
+    return byTweet;
+  }
+
+  // Most recent corrections for each rule, to show the model as examples
+  async examplesFor(rules) {
+    await this.load();
+    return rules.flatMap(rule => this.entries
+      .filter(entry => entry.ruleId === rule.id && entry.text)
+      .slice(-FEEDBACK_EXAMPLES_PER_RULE));
+  }
+
+  async save(entries) {
+    this.entries = entries;
+    await chrome.storage.local.set({ [FEEDBACK_KEY]: entries });
+  }
+}
+
+const feedbackStore = new FeedbackStore();
+
+// Right-click menu on supported sites: "Should have been filtered by" one of the
+// enabled rules. Rebuilt whenever the rules change.
+const FEEDBACK_MENU_ID = 'feedback-missed';
+
+// Rebuilds run one at a time; two overlapping ones would each clear the menu
+// and then clash creating the same IDs
+let feedbackMenuRebuild = Promise.resolve();
+
+function rebuildFeedbackMenu() {
+  const rebuild = feedbackMenuRebuild.then(buildFeedbackMenu);
+  feedbackMenuRebuild = rebuild.catch(() => {});
+  return rebuild;
+}
+
+async function buildFeedbackMenu() {
+  await chrome.contextMenus.removeAll();
+  const rules = enabledRules(await loadRules());
+  if (rules.length === 0) return;
+
+  chrome.contextMenus.create({
+    id: FEEDBACK_MENU_ID,
+    title: 'Should have been filtered by',
+    contexts: ['all'],
+    documentUrlPatterns: siteMatchPatterns()
+  }, reportMenuError);
+  rules.forEach(rule => {
+    chrome.contextMenus.create({
+      id: `${FEEDBACK_MENU_ID}:${rule.id}`,
+      parentId: FEEDBACK_MENU_ID,
+      title: rule.description.length > 60 ? `${rule.description.slice(0, 57)}...` : rule.description,
+      contexts: ['all'],
+      documentUrlPatterns: siteMatchPatterns()
+    }, reportMenuError);
+  });
+}
+
+function reportMenuError() {
+  if (chrome.runtime.lastError) {
+    console.error('Error creating feedback menu:', chrome.runtime.lastError.message);
+  }
+}
@@ -0,0 +1,134 @@
+// Local history of verdicts and model calls, for the statistics dashboard.
+// Everything stays in chrome.storage.local. Entries older than the retention
+// period are pruned on load and whenever something is recorded, and the
+// verdict list is capped so a heavy day of scrolling can't fill the quota.
+
+const HISTORY_KEY = 'verdictHistory';
+const HISTORY_DEFAULT_RETENTION_DAYS = 30;
+const HISTORY_MAX_VERDICTS = 5000;
+const HISTORY_MAX_CALLS = 5000;
+const HISTORY_TEXT_LENGTH = 200;
+const HISTORY_SAVE_DELAY_MS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class VerdictHistory {
+  constructor() {
+    this.data = null;
+    this.loading = null;
+    this.saveTimer = null;
+    this.recorded = new Map(); // tweet ID -> "ruleId:filtered" of its latest entry
+  }
+
+  async load() {
+    if (this.data) return;
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get([HISTORY_KEY]).then(result => {
+        this.data = {
+          retentionDays: HISTORY_DEFAULT_RETENTION_DAYS,
+          verdicts: [],
+          calls: [],
+          ...result[HISTORY_KEY]
+        };
+        this.prune(true);
+      });
+    }
+    await this.loading;
+  }
+
+  // One entry per verdict the user could have seen. A tweet that comes back
+  // with the same outcome (reloads, other tabs, cache hits) isn't counted twice.
+  async recordVerdict(tweet, verdict, filters) {
+    if (!verdict || verdict.pending) return;
+    await this.load();
+
+    const rule = verdict.ruleId && filters.find(candidate => candidate.id === verdict.ruleId);
+    const confidence = parseInt(verdict.confidence, 10) || 0;
+    const entry = {
+      at: Date.now(),
+      tweetId: tweet.id,
+      site: tweet.site || null,
+      permalink: tweet.permalink || null,
+      author: tweet.author && tweet.author.handle || null,
+      text: (tweet.text || '').slice(0, HISTORY_TEXT_LENGTH),
+      ruleId: rule ? rule.id : null,
+      rule: rule ? rule.description : null,
+      matched: !!verdict.shouldFilter,
+      // Whether the content script will act on it, with the rule's threshold as it was
+      filtered: !!(rule && verdict.shouldFilter && confidence >= rule.threshold),
+      confidence,
+      method: verdict.method || null,
+      error: verdict.error || null
+    };
+
+    if (this.recorded.get(entry.tweetId) === outcomeKey(entry)) return;
+    this.recorded.set(entry.tweetId, outcomeKey(entry));
+    this.data.verdicts.push(entry);
+    this.scheduleSave();
+  }
+
+  async recordCall({ provider, model, tweets, inputTokens, outputTokens, estimated, error }) {
+    await this.load();
+    this.data.calls.push({
+      at: Date.now(),
+      provider,
+      model,
+      tweets,
+      inputTokens: inputTokens || 0,
+      outputTokens: outputTokens || 0,
+      estimated: !!estimated,
+      error: error || null
+    });
+    this.scheduleSave();
+  }
+
+  async get() {
+    await this.load();
+    this.prune();
+    return this.data;
+  }
+
+  async setRetention(days) {
+    await this.load();
+    this.data.retentionDays = Math.max(1, Math.min(365, Math.round(days) || HISTORY_DEFAULT_RETENTION_DAYS));
+    this.prune();
+    this.scheduleSave();
+    return this.data.retentionDays;
+  }
+
+  async clear() {
+    await this.load();
+    this.data.verdicts = [];
+    this.data.calls = [];
+    this.recorded.clear();
+    clearTimeout(this.saveTimer);
+    await chrome.storage.local.set({ [HISTORY_KEY]: this.data });
+  }
+
+  // The outcomes already counted only cover the verdicts still kept, so the
+  // map shrinks with the list
+  prune(reindex = false) {
+    const cutoff = Date.now() - this.data.retentionDays * DAY_MS;
+    const kept = this.data.verdicts.filter(entry => entry.at >= cutoff).slice(-HISTORY_MAX_VERDICTS);
+    if (reindex || kept.length < this.data.verdicts.length) {
+      this.recorded = new Map(kept.map(entry => [entry.tweetId, outcomeKey(entry)]));
+    }
+    this.data.verdicts = kept;
+    this.data.calls = this.data.calls.filter(entry => entry.at >= cutoff).slice(-HISTORY_MAX_CALLS);
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.prune();
+      chrome.storage.local.set({ [HISTORY_KEY]: this.data }).catch(error => {
+        console.error('Error saving verdict history:', error);
+      });
+    }, HISTORY_SAVE_DELAY_MS);
+  }
+}
+
+function outcomeKey(entry) {
+  return `${entry.ruleId}:${entry.filtered}:${!!entry.error}`;
+}
+
+const verdictHistory = new VerdictHistory();
@@ -0,0 +1,76 @@
+// Tweet images for vision-capable providers.
+// Photos are fetched at Twitter's small size, downscaled on an OffscreenCanvas
+// and re-encoded as JPEG so a batch of images stays a few hundred KB.
+
+const IMAGE_LIMITS = {
+  perTweet: 2,
+  perBatch: 8,
+  maxDimension: 512,
+  quality: 0.7
+};
+
+// Returns one entry per attached image, in the order they'll be sent:
+// { tweetIndex, label, mimeType, data } where data is base64
+async function prepareTweetImages(tweets, limits = IMAGE_LIMITS) {
+  const wanted = [];
+  tweets.forEach((tweet, tweetIndex) => {
+    const media = [...(tweet.media || []), ...((tweet.quoted && tweet.quoted.media) || [])];
+    media.slice(0, limits.perTweet).forEach(item => wanted.push({ tweetIndex, src: item.src }));
+  });
+
+  const selected = wanted.slice(0, limits.perBatch);
+  const encoded = await Promise.all(selected.map(async ({ tweetIndex, src }) => {
+    try {
+      const data = await fetchDownscaledImage(src, limits);
+      return { tweetIndex, mimeType: 'image/jpeg', data };
+    } catch (error) {
+      console.log('🖼️ Skipping image that could not be loaded:', src, error.message);
+      return null;
+    }
+  }));
+
+  return encoded.filter(Boolean).map((image, index) => ({
+    ...image,
+    label: `Image ${index + 1} (from Tweet ${image.tweetIndex + 1})`
+  }));
+}
+
+async function fetchDownscaledImage(src, limits) {
+  const response = await fetch(smallImageUrl(src));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const bitmap = await createImageBitmap(await response.blob());
+  const scale = Math.min(1, limits.maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: limits.quality });
+  return arrayBufferToBase64(await blob.arrayBuffer());
+}
+
+// pbs.twimg.com serves several renditions; "small" is plenty before downscaling
+function smallImageUrl(src) {
+  try {
+    const url = new URL(src);
+    if (url.hostname === 'pbs.twimg.com' && url.searchParams.has('name')) {
+      url.searchParams.set('name', 'small');
+    }
+    return url.toString();
+  } catch (error) {
+    return src;
+  }
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't blow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
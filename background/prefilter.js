@@ -0,0 +1,243 @@
+// Local pre-filter, run on every tweet before anything is queued for the model.
+// The user's own corrections come first: a tweet they said should have been
+// filtered is, and a rule they said was wrong for it is never applied to it
+// again. Keyword, regex and muted-account rules are decided here outright. The
+// optional embedding classifier (an Ollama embedding model, so it stays on
+// this machine) then drops model rules a tweet is clearly unrelated to; if
+// none are left the tweet is settled without a model call. Whichever tier
+// decides a tweet is recorded in the verdict's `method`.
+
+const PREFILTER_DEFAULTS = {
+  embeddings: false,
+  embeddingModel: 'nomic-embed-text',
+  // Below this cosine similarity a tweet is treated as unrelated to a rule.
+  // Deliberately low: the classifier only rules things out, it never filters.
+  minSimilarity: 0.25
+};
+
+const LOCAL_METHODS = {
+  keyword: 'Local Keyword Match',
+  regex: 'Local Regex Match',
+  author: 'Muted Account'
+};
+
+function isModelRule(rule) {
+  return !rule.match || rule.match === 'model';
+}
+
+// Returns one decision per tweet: { verdict } when the tweet is settled
+// locally, otherwise { ruleIds } listing the model rules still to check
+async function prefilterBatch(tweets, rules) {
+  const corrections = await feedbackStore.correctionsFor(tweets);
+
+  const decisions = tweets.map(tweet => {
+    const own = corrections.get(tweet.id) || [];
+    const scoped = rulesForTweet(tweet, rules);
+    const missed = scoped.find(rule => own.some(entry => entry.ruleId === rule.id && entry.kind === 'missed'));
+    if (missed) {
+      return {
+        verdict: {
+          shouldFilter: true,
+          ruleId: missed.id,
+          confidence: '100%',
+          method: 'Your Feedback',
+          reason: missed.description,
+          details: 'You marked this post as "Should have been filtered"'
+        }
+      };
+    }
+
+    const applicable = scoped.filter(rule => !own.some(entry => entry.ruleId === rule.id));
+    if (applicable.length === 0 && scoped.length > 0) {
+      return { verdict: noMatchVerdict('Your Feedback', 'You marked this post as "Wrongly filtered"') };
+    }
+
+    for (const rule of applicable.filter(rule => !isModelRule(rule))) {
+      const match = localRuleMatch(rule, tweet);
+      if (match) {
+        return {
+          verdict: {
+            shouldFilter: true,
+            ruleId: rule.id,
+            confidence: '100%',
+            method: LOCAL_METHODS[rule.match],
+            reason: rule.description,
+            details: match.details,
+            matchedRuleIds: [rule.id],
+            spans: match.spans
+          }
+        };
+      }
+    }
+
+    const modelRules = applicable.filter(isModelRule);
+    if (modelRules.length === 0) {
+      return { verdict: noMatchVerdict('Local Rules', 'No keyword, pattern or muted account matched') };
+    }
+    return { ruleIds: modelRules.map(rule => rule.id) };
+  });
+
+  const settings = await getPrefilterSettings();
+  if (settings.embeddings) {
+    try {
+      await narrowByEmbeddings(tweets, rules, decisions, settings);
+    } catch (error) {
+      // The classifier is an optimisation; without it everything goes to the model
+      console.log('⚠️ Embedding pre-filter unavailable:', error.message);
+    }
+  }
+
+  return decisions;
+}
+
+function noMatchVerdict(method, details) {
+  return {
+    shouldFilter: false,
+    ruleId: null,
+    confidence: '0%',
+    method,
+    reason: 'No filter matched',
+    details
+  };
+}
+
+// Returns { details, spans } for a match: a short description of what
+// matched, and the text it matched for the overlay to highlight. Null if
+// nothing did.
+function localRuleMatch(rule, tweet) {
+  if (rule.match === 'author') {
+    const handle = tweet.author && tweet.author.handle && tweet.author.handle.toLowerCase();
+    return handle && parseHandles(rule.description).includes(handle) ? { details: `@${handle} is muted`, spans: [] } : null;
+  }
+
+  const pattern = compileRulePattern(rule);
+  if (!pattern) return null;
+  const found = tweetSearchText(tweet).match(pattern);
+  return found ? { details: `Matched "${found[0].trim()}"`, spans: [found[0].trim()] } : null;
+}
+
+// Quoted tweets are part of what the user sees, so they count too
+function tweetSearchText(tweet) {
+  return [tweet.text, tweet.quoted && tweet.quoted.text].filter(Boolean).join('\n');
+}
+
+// A short reply means little on its own, so the post it answers is compared
+// too; keyword rules still only look at what's in the post itself
+function tweetEmbeddingText(tweet) {
+  return [tweetSearchText(tweet), tweet.parent && tweet.parent.text].filter(Boolean).join('\n');
+}
+
+function parseHandles(value) {
+  return value.split(/[\s,]+/)
+    .map(handle => handle.replace(/^@/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+const compiledPatterns = new Map();
+
+function compileRulePattern(rule) {
+  const key = `${rule.match}:${rule.description}`;
+  if (!compiledPatterns.has(key)) {
+    compiledPatterns.set(key, buildRulePattern(rule));
+  }
+  return compiledPatterns.get(key);
+}
+
+function buildRulePattern(rule) {
+  if (rule.match === 'keyword') {
+    // Comma or newline separated; each keyword matches as a whole word or phrase
+    const keywords = rule.description.split(/[,\n]/).map(keyword => keyword.trim()).filter(Boolean);
+    if (keywords.length === 0) return null;
+    const alternatives = keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'iu');
+  }
+
+  // "/pattern/flags" or a bare pattern, which is case-insensitive
+  const literal = rule.description.match(/^\/(.+)\/([a-z]*)$/s);
+  try {
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(rule.description, 'i');
+  } catch (error) {
+    console.log(`⚠️ Invalid pattern in filter "${rule.description}":`, error.message);
+    return null;
+  }
+}
+
+async function getPrefilterSettings() {
+  const { providerSettings = {} } = await chrome.storage.local.get(['providerSettings']);
+  const ollama = await getProviderConfig({ ...providerSettings, provider: 'ollama' });
+  return {
+    ...PREFILTER_DEFAULTS,
+    ...providerSettings.prefilter,
+    baseUrl: ollama.baseUrl
+  };
+}
+
+// Rule descriptions rarely change, so their embeddings are kept for the
+// lifetime of the worker
+const ruleEmbeddings = new Map();
+
+async function narrowByEmbeddings(tweets, rules, decisions, settings) {
+  // Text embeddings can't see pictures, so tweets with images always go to the model
+  const open = decisions.flatMap((decision, index) => decision.ruleIds && !tweets[index].hasImages ? [index] : []);
+  if (open.length === 0) return;
+
+  const modelRules = rules.filter(isModelRule);
+  const cacheKey = description => `${settings.embeddingModel}:${description}`;
+  const missingRules = modelRules.filter(rule => !ruleEmbeddings.has(cacheKey(rule.description)));
+  const texts = [
+    ...missingRules.map(rule => rule.description),
+    ...open.map(index => tweetEmbeddingText(tweets[index]))
+  ];
+  const vectors = await embedTexts(texts, settings);
+
+  missingRules.forEach((rule, i) => ruleEmbeddings.set(cacheKey(rule.description), vectors[i]));
+  const tweetVectors = vectors.slice(missingRules.length);
+
+  open.forEach((tweetIndex, i) => {
+    const decision = decisions[tweetIndex];
+    const scored = decision.ruleIds.map(ruleId => {
+      const rule = modelRules.find(candidate => candidate.id === ruleId);
+      return { ruleId, similarity: cosineSimilarity(tweetVectors[i], ruleEmbeddings.get(cacheKey(rule.description))) };
+    });
+    const related = scored.filter(score => score.similarity >= settings.minSimilarity);
+
+    if (related.length === 0) {
+      const closest = Math.max(...scored.map(score => score.similarity));
+      decisions[tweetIndex] = {
+        verdict: noMatchVerdict('Local Embedding', `Unrelated to every filter (closest similarity ${closest.toFixed(2)})`)
+      };
+    } else {
+      decision.ruleIds = related.map(score => score.ruleId);
+    }
+  });
+}
+
+async function embedTexts(texts, settings) {
+  const response = await fetch(`${settings.baseUrl}/api/embed`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ model: settings.embeddingModel, input: texts })
+  });
+
+  await throwIfNotOk(response);
+
+  const { embeddings = [] } = await response.json();
+  if (embeddings.length !== texts.length) {
+    throw new Error(`expected ${texts.length} embeddings, got ${embeddings.length}`);
+  }
+  return embeddings;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
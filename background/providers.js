@@ -0,0 +1,391 @@
+// Model providers for the background script.
+// Each provider knows how to send a prompt to one backend and hand back the
+// raw response text, so the analysis code never has to care which one is active.
+//
+// generate(config, prompt, options) options:
+//   input: untrusted content, sent as its own user message/part; `prompt` then
+//          becomes the system instructions so the two are never concatenated
+//   images: [{ label, mimeType, data }] for vision-capable models
+//   json / schema: ask for JSON output, constrained to a JSON Schema if given
+//   maxOutputTokens
+//   onUsage: called with { inputTokens, outputTokens } when the API reports them
+//   onText: stream the response, calling this with each piece of text as it
+//           arrives; the full text is still returned at the end
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Model names that accept images, for providers where it depends on the model
+const OPENAI_VISION_MODELS = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|vision|^o\d/i;
+const OLLAMA_VISION_MODELS = /llava|vision|moondream|gemma3|qwen2\.5vl|minicpm-v|granite3\.2-vision|llama4/i;
+
+// OpenAI reasoning models take max_completion_tokens and reject temperature
+const OPENAI_REASONING_MODELS = /^(o\d|gpt-5)/i;
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-1.5-flash-latest',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresKey: true,
+    visionModels: /./,
+
+    async generate(config, prompt, options = {}) {
+      const method = options.onText ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+      const url = `${config.baseUrl}/models/${config.model}:${method}key=${config.apiKey}`;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ...(options.input ? { systemInstruction: { parts: [{ text: prompt }] } } : {}),
+          contents: [{
+            role: 'user',
+            parts: [{
+              text: options.input || prompt
+            }, ...(options.images || []).flatMap(image => [
+              { text: image.label },
+              { inline_data: { mime_type: image.mimeType, data: image.data } }
+            ])]
+          }],
+          generationConfig: {
+            maxOutputTokens: options.maxOutputTokens || 200,
+            temperature: 0.1,
+            ...(options.json || options.schema ? { responseMimeType: 'application/json' } : {}),
+            ...(options.schema ? { responseSchema: toGeminiSchema(options.schema) } : {})
+          }
+        })
+      });
+
+      await throwIfNotOk(response);
+
+      const reportUsage = usage => {
+        if (options.onUsage && usage) {
+          options.onUsage({
+            inputTokens: usage.promptTokenCount,
+            outputTokens: usage.candidatesTokenCount
+          });
+        }
+      };
+
+      if (options.onText) {
+        // Each event is a partial response; usage comes with the last one
+        let text = '';
+        let usage = null;
+        await readJsonStream(response, chunk => {
+          const parts = chunk.candidates?.[0]?.content?.parts || [];
+          const delta = parts.map(part => part.text || '').join('');
+          if (delta) {
+            text += delta;
+            options.onText(delta);
+          }
+          usage = chunk.usageMetadata || usage;
+        });
+        reportUsage(usage);
+        return text.trim();
+      }
+
+      const result = await response.json();
+      reportUsage(result.usageMetadata);
+      return result.candidates[0].content.parts[0].text.trim();
+    },
+
+    async checkStatus(config) {
+      await this.generate(config, 'test', { maxOutputTokens: 1 });
+    },
+
+    async listModels(config) {
+      const response = await fetch(`${config.baseUrl}/models?key=${config.apiKey}&pageSize=100`);
+      await throwIfNotOk(response);
+
+      const { models = [] } = await response.json();
+      return models
+        .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+        .map(m => m.name.replace(/^models\//, ''));
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresKey: true,
+    visionModels: OPENAI_VISION_MODELS,
+
+    async generate(config, prompt, options = {}) {
+      const response = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: config.model,
+          messages: chatMessages(prompt, options, (text, images) => images.length > 0
+            ? [{ type: 'text', text }, ...images.flatMap(image => [
+                { type: 'text', text: image.label },
+                { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}`, detail: 'low' } }
+              ])]
+            : text),
+          ...(OPENAI_REASONING_MODELS.test(config.model)
+            ? { max_completion_tokens: options.maxOutputTokens || 200 }
+            : { max_tokens: options.maxOutputTokens || 200, temperature: 0.1 }),
+          ...(options.schema
+            ? { response_format: { type: 'json_schema', json_schema: { name: 'response', strict: true, schema: options.schema } } }
+            : options.json ? { response_format: { type: 'json_object' } } : {}),
+          ...(options.onText ? { stream: true, stream_options: { include_usage: true } } : {})
+        })
+      });
+
+      await throwIfNotOk(response);
+
+      const reportUsage = usage => {
+        if (options.onUsage && usage) {
+          options.onUsage({
+            inputTokens: usage.prompt_tokens,
+            outputTokens: usage.completion_tokens
+          });
+        }
+      };
+
+      if (options.onText) {
+        // Usage arrives in a final chunk with no choices
+        let text = '';
+        let usage = null;
+        await readJsonStream(response, chunk => {
+          const delta = chunk.choices?.[0]?.delta?.content || '';
+          if (delta) {
+            text += delta;
+            options.onText(delta);
+          }
+          usage = chunk.usage || usage;
+        });
+        reportUsage(usage);
+        return text.trim();
+      }
+
+      const result = await response.json();
+      reportUsage(result.usage);
+      return result.choices[0].message.content.trim();
+    },
+
+    async checkStatus(config) {
+      await this.generate(config, 'test', { maxOutputTokens: 1 });
+    },
+
+    async listModels(config) {
+      const response = await fetch(`${config.baseUrl}/models`, {
+        headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}
+      });
+      await throwIfNotOk(response);
+
+      const { data = [] } = await response.json();
+      return data.map(m => m.id);
+    }
+  },
+
+  ollama: {
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.2',
+    defaultBaseUrl: 'http://localhost:11434',
+    requiresKey: false,
+    visionModels: OLLAMA_VISION_MODELS,
+
+    async generate(config, prompt, options = {}) {
+      const response = await fetch(`${config.baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: config.model,
+          // Ollama takes bare images without captions, so their labels are listed in order instead
+          messages: chatMessages(
+            options.images && options.images.length > 0
+              ? `${prompt}\n\nAttached images, in order: ${options.images.map(image => image.label).join('; ')}`
+              : prompt,
+            options,
+            (text, images) => text,
+            (images) => images.length > 0 ? { images: images.map(image => image.data) } : {}
+          ),
+          stream: !!options.onText,
+          ...(options.schema ? { format: options.schema } : options.json ? { format: 'json' } : {}),
+          options: {
+            num_predict: options.maxOutputTokens || 200,
+            temperature: 0.1
+          }
+        })
+      });
+
+      await throwIfNotOk(response);
+
+      const reportUsage = result => {
+        if (options.onUsage && result.prompt_eval_count !== undefined) {
+          options.onUsage({
+            inputTokens: result.prompt_eval_count,
+            outputTokens: result.eval_count
+          });
+        }
+      };
+
+      if (options.onText) {
+        // One JSON object per line; the last one ("done") carries the counts
+        let text = '';
+        await readJsonStream(response, chunk => {
+          const delta = chunk.message?.content || '';
+          if (delta) {
+            text += delta;
+            options.onText(delta);
+          }
+          if (chunk.done) reportUsage(chunk);
+        });
+        return text.trim();
+      }
+
+      const result = await response.json();
+      reportUsage(result);
+      return result.message.content.trim();
+    },
+
+    async checkStatus(config) {
+      // Listing local models is cheap and tells us both that the server is up
+      // and whether the configured model has been pulled.
+      const response = await fetch(`${config.baseUrl}/api/tags`);
+      await throwIfNotOk(response);
+
+      const { models = [] } = await response.json();
+      const installed = models.map(m => m.name);
+      if (!installed.some(name => name === config.model || name.startsWith(`${config.model}:`))) {
+        throw new Error(`model "${config.model}" is not pulled (run: ollama pull ${config.model})`);
+      }
+    },
+
+    async listModels(config) {
+      const response = await fetch(`${config.baseUrl}/api/tags`);
+      await throwIfNotOk(response);
+
+      const { models = [] } = await response.json();
+      return models.map(m => m.name);
+    }
+  }
+};
+
+// Carries the HTTP status (and any Retry-After hint) so the request scheduler
+// can tell rate limits and server errors apart from bad requests
+class APIError extends Error {
+  constructor(message, status, retryAfterMs = null) {
+    super(message);
+    this.name = 'APIError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+async function throwIfNotOk(response) {
+  if (response.ok) return;
+
+  let message = response.status;
+  try {
+    const error = await response.json();
+    message = error.error?.message || error.error || message;
+  } catch (parseError) {
+    // Non-JSON error body, fall back to the status code
+  }
+
+  const retryAfter = Number(response.headers?.get('Retry-After'));
+  throw new APIError(`API error: ${message}`, response.status, retryAfter > 0 ? retryAfter * 1000 : null);
+}
+
+// Reads a streamed response body and calls onEvent with each JSON object in
+// it: server-sent events ("data: {...}" lines) from Gemini and OpenAI, or one
+// object per line from Ollama. Other SSE fields and the "[DONE]" marker are
+// skipped.
+async function readJsonStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const readLine = line => {
+    const trimmed = line.trim();
+    const data = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+    if (data.startsWith('{')) {
+      onEvent(JSON.parse(data));
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(readLine);
+  }
+  readLine(buffer + decoder.decode());
+}
+
+// System + user messages for chat-style APIs. The user message carries the
+// untrusted input (or the prompt itself when there is none) plus any images.
+function chatMessages(prompt, options, buildContent, extraFields = () => ({})) {
+  const images = options.images || [];
+  const userText = options.input || prompt;
+  const userMessage = { role: 'user', content: buildContent(userText, images), ...extraFields(images) };
+  return options.input ? [{ role: 'system', content: prompt }, userMessage] : [userMessage];
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types, "nullable"
+// instead of type unions, and no additionalProperties
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const converted = { type: type.toUpperCase() };
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+// Resolve the active provider and its model, key and endpoint from the
+// settings saved by the options page. Anything not set falls back to the
+// provider's defaults. Pass `settings` to resolve unsaved values instead.
+async function getProviderConfig(settings) {
+  const providerSettings = settings || (await chrome.storage.local.get(['providerSettings'])).providerSettings || {};
+  const providerId = PROVIDERS[providerSettings.provider] ? providerSettings.provider : DEFAULT_PROVIDER;
+  const provider = PROVIDERS[providerId];
+
+  return {
+    provider: providerId,
+    model: providerSettings.models?.[providerId] || provider.defaultModel,
+    apiKey: providerSettings.apiKeys?.[providerId] || '',
+    baseUrl: (providerSettings.baseUrls?.[providerId] || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    vision: providerSettings.vision || 'auto',
+    stream: providerSettings.stream !== false
+  };
+}
+
+// Whether to attach tweet images: 'on'/'off' from the options page, or
+// 'auto' to go by whether the model is known to accept images
+function supportsVision(config) {
+  if (config.vision === 'on') return true;
+  if (config.vision === 'off') return false;
+  return getProvider(config.provider).visionModels.test(config.model);
+}
+
+// Provider metadata the options page needs to render its form
+function describeProviders() {
+  return Object.fromEntries(Object.entries(PROVIDERS).map(([id, provider]) => [id, {
+    label: provider.label,
+    defaultModel: provider.defaultModel,
+    defaultBaseUrl: provider.defaultBaseUrl,
+    requiresKey: provider.requiresKey
+  }]));
+}
@@ -0,0 +1,207 @@
+// Request scheduler for model calls.
+// Every tab's tweets go through one queue so we can cap batch size and
+// concurrency, stay inside the provider's per-minute budgets, and retry rate
+// limits and server errors instead of letting a burst of tweets fail open.
+// Calls that aren't batches of tweets (English glosses) share the queue as
+// single jobs.
+
+const SCHEDULER_DEFAULTS = {
+  maxBatchSize: 10,
+  maxConcurrent: 2,
+  maxRetries: 4,
+  requestsPerMinute: 15,
+  tokensPerMinute: 250000,
+  baseBackoffMs: 1000,
+  maxBackoffMs: 60000,
+  // Short wait before dispatching so tweets from one scroll land in one batch
+  collectDelayMs: 50
+};
+
+const BUDGET_WINDOW_MS = 60 * 1000;
+
+// Tabs only send tweets that are near the viewport; one that scrolls far away
+// while it's queued waits behind everything else until it comes back
+const PRIORITY_NEAR = 0;
+const PRIORITY_FAR = 1;
+
+class RequestScheduler {
+  // runBatch(tweets, filters, onVerdict) must resolve to one verdict per
+  // tweet, in order. It may also call onVerdict(index, verdict) as verdicts
+  // stream in, before the batch as a whole is done.
+  constructor(runBatch, options = {}) {
+    this.runBatch = runBatch;
+    this.options = { ...SCHEDULER_DEFAULTS, ...options };
+    this.queue = [];
+    this.inflight = new Map(); // job key -> promise, so duplicate tweets share one call
+    this.listeners = new Map(); // job key -> onVerdict callbacks for streamed verdicts
+    this.active = 0;
+    this.usage = []; // { at, tokens } per call in the last minute
+    this.timer = null;
+    this.timerDueAt = 0;
+  }
+
+  // onVerdict gets a streamed verdict early; the promise still resolves with
+  // the final one, which can differ if the rest of the response undoes it
+  enqueue(key, tweet, filters, onVerdict) {
+    if (onVerdict) {
+      if (!this.listeners.has(key)) this.listeners.set(key, []);
+      this.listeners.get(key).push(onVerdict);
+    }
+    return this.add(key, { tweet, filters, filtersKey: JSON.stringify(filters) });
+  }
+
+  // A single call of roughly `tokens` tokens; call() resolves to its result
+  enqueueCall(key, tokens, call) {
+    return this.add(key, { call, tokens, filtersKey: `call:${key}` });
+  }
+
+  add(key, fields) {
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({
+        key,
+        ...fields,
+        priority: PRIORITY_NEAR,
+        attempts: 0,
+        notBefore: 0,
+        resolve,
+        reject
+      });
+    });
+
+    const cleanup = () => {
+      this.inflight.delete(key);
+      this.listeners.delete(key);
+    };
+    promise.then(cleanup, cleanup);
+    this.inflight.set(key, promise);
+
+    this.wake(this.options.collectDelayMs);
+    return promise;
+  }
+
+  // Queued (not yet dispatched) jobs for these tweet IDs
+  setPriority(tweetIds, priority) {
+    const ids = new Set(tweetIds);
+    this.queue.forEach(job => {
+      if (job.tweet && ids.has(job.tweet.id)) job.priority = priority;
+    });
+  }
+
+  wake(delayMs) {
+    const dueAt = Date.now() + delayMs;
+    if (this.timer && this.timerDueAt <= dueAt) return;
+
+    clearTimeout(this.timer);
+    this.timerDueAt = dueAt;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, delayMs);
+  }
+
+  pump() {
+    while (this.active < this.options.maxConcurrent && this.queue.length > 0) {
+      const now = Date.now();
+      const ready = this.queue
+        .filter(job => job.notBefore <= now)
+        .sort((a, b) => a.priority - b.priority);
+      if (ready.length === 0) {
+        this.wake(Math.min(...this.queue.map(job => job.notBefore)) - now);
+        return;
+      }
+
+      // A call can only carry one filter set, so batch jobs that share the
+      // first one's, and keep far-away tweets out of a batch for near ones
+      const batch = ready
+        .filter(job => job.filtersKey === ready[0].filtersKey && job.priority === ready[0].priority)
+        .slice(0, this.options.maxBatchSize);
+
+      const tokens = batch[0].call ? batch[0].tokens : estimateBatchTokens(batch.map(job => job.tweet), batch[0].filters);
+      const waitMs = this.budgetWaitMs(tokens, now);
+      if (waitMs > 0) {
+        console.log(`⏳ Rate budget reached, ${this.queue.length} tweets waiting ${Math.ceil(waitMs / 1000)}s`);
+        this.wake(waitMs);
+        return;
+      }
+
+      this.queue = this.queue.filter(job => !batch.includes(job));
+      this.run(batch, tokens);
+    }
+  }
+
+  async run(batch, tokens) {
+    this.active++;
+    this.usage.push({ at: Date.now(), tokens });
+
+    try {
+      const verdicts = batch[0].call
+        ? [await batch[0].call()]
+        : await this.runBatch(batch.map(job => job.tweet), batch[0].filters, (index, verdict) => {
+          (this.listeners.get(batch[index].key) || []).forEach(listener => listener(verdict));
+        });
+      batch.forEach((job, index) => job.resolve(verdicts[index]));
+    } catch (error) {
+      const retryable = batch.filter(job => isRetryableError(error) && job.attempts < this.options.maxRetries);
+      batch.filter(job => !retryable.includes(job)).forEach(job => job.reject(error));
+
+      if (retryable.length > 0) {
+        const attempt = Math.max(...retryable.map(job => ++job.attempts));
+        const delayMs = this.backoffMs(attempt, error);
+        console.log(`🔁 Retrying ${retryable.length} tweets in ${Math.round(delayMs / 1000)}s (attempt ${attempt}): ${error.message}`);
+        retryable.forEach(job => {
+          job.notBefore = Date.now() + delayMs;
+        });
+        this.queue.unshift(...retryable);
+      }
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  // Exponential backoff with jitter, never shorter than the server's Retry-After
+  backoffMs(attempt, error) {
+    const { baseBackoffMs, maxBackoffMs } = this.options;
+    const ceiling = Math.min(maxBackoffMs, baseBackoffMs * 2 ** (attempt - 1));
+    const delay = ceiling / 2 + Math.random() * ceiling / 2;
+    return Math.max(delay, error.retryAfterMs || 0);
+  }
+
+  // How long until a call of this size fits in both per-minute budgets
+  budgetWaitMs(tokens, now) {
+    this.usage = this.usage.filter(entry => now - entry.at < BUDGET_WINDOW_MS);
+
+    const { requestsPerMinute, tokensPerMinute } = this.options;
+    const fits = (calls) => calls.length < requestsPerMinute &&
+      (calls.length === 0 || calls.reduce((sum, entry) => sum + entry.tokens, 0) + tokens <= tokensPerMinute);
+
+    // Find how many of the oldest calls have to age out before this one fits
+    for (let expired = 0; expired <= this.usage.length; expired++) {
+      if (fits(this.usage.slice(expired))) {
+        return expired === 0 ? 0 : this.usage[expired - 1].at + BUDGET_WINDOW_MS - now;
+      }
+    }
+    return 0;
+  }
+}
+
+function isRetryableError(error) {
+  if (error.status === undefined) {
+    // fetch() itself failed (network down, local server not running yet)
+    return error instanceof TypeError;
+  }
+  return error.status === 429 || error.status >= 500;
+}
+
+// Rough token count (about 4 characters per token) of the prompt the batch
+// will be sent with, plus the output we allow the model, matching the sizing
+// in analyzeBatchWithAPI. The user's corrections aren't known yet and are
+// left out. Attached images are counted at roughly what a downscaled image
+// costs.
+function estimateBatchTokens(tweets, filters) {
+  const { instructions, input } = buildBatchPrompt(tweets, filters);
+  const imageCount = Math.min(IMAGE_LIMITS.perBatch, tweets.filter(tweet => tweet.hasImages).length * IMAGE_LIMITS.perTweet);
+  return Math.ceil((instructions.length + input.length) / 4) + imageCount * 300 + 300 + tweets.length * 150;
+}
@@ -0,0 +1,52 @@
+// Rule schedules and focus mode. Which rules are active depends on the time
+// and on whether focus mode is on, so an alarm fires at the next schedule
+// boundary (and another when focus mode runs out) and the open tabs are told
+// to re-evaluate the posts they've already seen.
+
+const SCHEDULE_ALARM = 'schedule-change';
+const FOCUS_ALARM = 'focus-end';
+const FOCUS_KEY = 'focusMode';
+const FOCUS_MAX_MINUTES = 24 * 60;
+
+// Only one schedule alarm is ever pending; it's replaced whenever the rules change
+async function scheduleNextSwitch() {
+  const next = nextScheduleChange(await loadRules());
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  if (next) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  }
+}
+
+async function getFocusMode() {
+  const result = await chrome.storage.local.get([FOCUS_KEY]);
+  const until = (result[FOCUS_KEY] && result[FOCUS_KEY].until) || 0;
+  return { active: until > Date.now(), until };
+}
+
+async function startFocusMode(minutes) {
+  const duration = Math.min(FOCUS_MAX_MINUTES, Math.max(1, Math.round(Number(minutes) || 0)));
+  const until = Date.now() + duration * 60 * 1000;
+  await chrome.storage.local.set({ [FOCUS_KEY]: { until } });
+  chrome.alarms.create(FOCUS_ALARM, { when: until });
+  await notifyContextChange();
+  return getFocusMode();
+}
+
+async function stopFocusMode() {
+  await chrome.storage.local.remove(FOCUS_KEY);
+  await chrome.alarms.clear(FOCUS_ALARM);
+  await notifyContextChange();
+  return getFocusMode();
+}
+
+// Tabs work out the active rules themselves (see ruleIsActive); this just
+// tells them when to look again
+async function notifyContextChange() {
+  const focus = await getFocusMode();
+  const tabs = await chrome.tabs.query({ url: siteMatchPatterns() });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, { action: 'contextChanged', focusUntil: focus.active ? focus.until : 0 }).catch(() => {
+      // Content script not loaded in this tab
+    });
+  });
+}
@@ -0,0 +1,117 @@
+// Persistent cache of model verdicts, so the same tweet is never sent to the
+// model twice for the same set of filters (reloads, new tabs, re-renders).
+// Entries live in chrome.storage.local and are mirrored in memory; the map is
+// kept in least-recently-used order so eviction just drops from the front.
+
+const VERDICT_CACHE_KEY = 'verdictCache';
+const VERDICT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const VERDICT_CACHE_MAX_ENTRIES = 5000;
+const VERDICT_CACHE_SAVE_DELAY_MS = 1000;
+
+class VerdictCache {
+  constructor({ ttlMs = VERDICT_CACHE_TTL_MS, maxEntries = VERDICT_CACHE_MAX_ENTRIES } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = null;
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  async load() {
+    if (this.entries) return;
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get([VERDICT_CACHE_KEY]).then(result => {
+        this.entries = new Map(result[VERDICT_CACHE_KEY] || []);
+      });
+    }
+    await this.loading;
+  }
+
+  async get(key) {
+    await this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.entries.delete(key);
+      this.scheduleSave();
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.verdict;
+  }
+
+  async set(key, verdict) {
+    await this.load();
+    this.entries.delete(key);
+    this.entries.set(key, { verdict, storedAt: Date.now() });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  async clear() {
+    this.entries = new Map();
+    this.loading = null;
+    clearTimeout(this.saveTimer);
+    await chrome.storage.local.remove(VERDICT_CACHE_KEY);
+  }
+
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.storedAt > this.ttlMs) this.entries.delete(key);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Writes are batched: a single filterBatch can add dozens of entries
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      chrome.storage.local.set({ [VERDICT_CACHE_KEY]: Array.from(this.entries) }).catch(error => {
+        console.error('Error saving verdict cache:', error);
+      });
+    }, VERDICT_CACHE_SAVE_DELAY_MS);
+  }
+}
+
+async function hashString(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest).slice(0, 12))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Whitespace and case differences don't change what a tweet says
+function normalizeTweetText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Only what goes into the prompt matters; thresholds and actions are applied
+// by the content script, so changing them doesn't invalidate verdicts. New
+// corrections for a rule change its prompt examples, so they do.
+async function hashFilters(rules, examples = []) {
+  const promptFields = rules.map(rule => [rule.id, rule.description]).sort();
+  return hashString(JSON.stringify(examples.length > 0
+    ? [promptFields, examples.map(example => example.id).sort()]
+    : promptFields));
+}
+
+// Prefer the tweet's status ID when the content script knows it, since the
+// same tweet can render with slightly different text (truncation, "Show more").
+// A reply is judged with the post it answers when that's on the page, so it
+// gets a separate verdict there; without an ID, the context is hashed too.
+async function verdictCacheKey(tweet, filtersHash) {
+  const contextText = [tweet.quoted && tweet.quoted.text, tweet.parent && tweet.parent.text].filter(Boolean);
+  const tweetKey = typeof tweet.statusId === 'string' && tweet.statusId
+    ? `id:${tweet.statusId}${tweet.parent ? ':in-reply' : ''}`
+    : `text:${await hashString(normalizeTweetText([tweet.text, ...contextText].join('\n')))}`;
+  return `${tweetKey}|${filtersHash}`;
+}
+
+const verdictCache = new VerdictCache();
@@ -1,7 +1,35 @@
-class TwitterContentFilter {
-    constructor() {
+// pendingReview: blur tweets as soon as they're collected, until a verdict says they're fine
+// failMode: 'open' shows tweets whose analysis failed, 'closed' keeps them hidden
+// prefetchScreens: how many screen heights above and below the viewport to check ahead
+const DEFAULT_PREFERENCES = {
+  pendingReview: false,
+  failMode: 'open',
+  prefetchScreens: 2
+};
+
+// Pixels between an element and the viewport, 0 if it's on screen
+function viewportDistance(element) {
+  const rect = element.getBoundingClientRect();
+  if (rect.bottom < 0) return -rect.bottom;
+  if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+  return 0;
+}
+
+class SocialContentFilter {
+    constructor(site) {
+      this.site = site; // adapter from content/sites/
       this.filters = [];
-      this.processedTweets = new Set();
+      this.authorLists = []; // allow, deny and scope lists of handles (shared/author-lists.js)
+      this.preferences = { ...DEFAULT_PREFERENCES };
+      this.focusUntil = 0; // focus mode end time, 0 when it's off
+      this.filterVersion = null; // filterSetVersion of the active rules at the last processTweets
+      this.tweets = new Map(); // tweet ID -> TweetRecord
+      this.elementTweetIds = new WeakMap(); // overlay anchor element -> tweet ID
+      this.followTracker = new FollowTracker();
+      this.contextTarget = null; // last right-clicked element, for the feedback menu
+      this.viewport = null; // IntersectionObserver for "near the viewport"
+      this.awaitingCheck = new Set(); // records to send once they come near the viewport
+      this.verdictPort = null; // port the background worker pushes verdicts over
       this.isProcessing = false;
       this.worker = null;
       this.aiAvailable = false;
@@ -15,9 +43,14 @@ class TwitterContentFilter {
       
       // Load filters from storage
       await this.loadFilters();
+      await this.followTracker.load();
       
       // Start observing for new tweets
+      this.observeViewport();
       this.startObserving();
+      document.addEventListener('contextmenu', (event) => {
+        this.contextTarget = event.target;
+      }, true);
       
       // Process existing tweets
       this.processTweets();
@@ -25,9 +58,29 @@ class TwitterContentFilter {
       // Listen for messages from popup
       chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.action === 'updateFilters') {
-          this.filters = message.filters;
+          this.filters = normalizeRules(message.filters);
+          // Thresholds, actions and enabled flags apply to verdicts we already have
+          this.tweets.forEach(record => this.applyVerdict(record));
+          this.processTweets();
+          sendResponse({ success: true });
+        } else if (message.action === 'contextChanged') {
+          // A rule schedule started or ended, or focus mode was toggled
+          this.focusUntil = message.focusUntil || 0;
           this.processTweets();
           sendResponse({ success: true });
+        } else if (message.action === 'verdicts') {
+          // Sent this way when the verdict port had closed
+          this.receiveVerdicts(message.verdicts);
+          sendResponse({ success: true });
+        } else if (message.action === 'markMissed') {
+          // "Should have been filtered by" from the context menu
+          const record = this.recordForElement(this.contextTarget);
+          if (record) {
+            this.sendFeedback(record, message.ruleId, 'missed');
+          } else {
+            console.log('🛡️ No post under the right-click to give feedback on');
+          }
+          sendResponse({ success: !!record });
         } else if (message.action === 'getAIStatus') {
           sendResponse({ 
             aiAvailable: this.aiAvailable,
@@ -37,6 +90,25 @@ class TwitterContentFilter {
         }
         return true; // Keep message channel open for async response
       });
+
+      // Re-check the API when provider settings are changed on the options page
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.providerSettings) {
+          this.initializeModel();
+        }
+        if (areaName === 'sync' && changes.preferences) {
+          const { prefetchScreens } = this.preferences;
+          this.preferences = { ...DEFAULT_PREFERENCES, ...changes.preferences.newValue };
+          if (this.preferences.prefetchScreens !== prefetchScreens) this.observeViewport();
+          this.tweets.forEach(record => this.applyVerdict(record));
+        }
+        if (areaName === 'sync' && changes.authorLists) {
+          // Authors taken off a list are checked against the rules they now fall under
+          this.authorLists = normalizeAuthorLists(changes.authorLists.newValue);
+          this.tweets.forEach(record => this.matchAuthorLists(record));
+          this.processTweets({ recheckSeen: true });
+        }
+      });
     }
   
     async initializeModel() {
@@ -61,13 +133,51 @@ class TwitterContentFilter {
   
     async loadFilters() {
       try {
-        const result = await chrome.storage.sync.get(['filters']);
-        this.filters = result.filters || [];
+        const result = await chrome.storage.sync.get(['filters', 'preferences', 'authorLists']);
+        this.filters = normalizeRules(result.filters);
+        this.authorLists = normalizeAuthorLists(result.authorLists);
+        this.preferences = { ...DEFAULT_PREFERENCES, ...result.preferences };
+        const { focusMode } = await chrome.storage.local.get(['focusMode']);
+        this.focusUntil = (focusMode && focusMode.until) || 0;
       } catch (error) {
         console.error('Error loading filters:', error);
       }
     }
   
+    // Tweets are only sent once they're within prefetchScreens of the viewport,
+    // closest first, so verdicts land before the user scrolls to them. Ones
+    // that scroll far away while queued are moved to the back of the queue.
+    observeViewport() {
+      if (this.viewport) this.viewport.disconnect();
+      const margin = `${Math.max(0, Number(this.preferences.prefetchScreens) || 0) * 100}%`;
+      this.viewport = new IntersectionObserver(entries => this.onViewportChange(entries), {
+        rootMargin: `${margin} 0px ${margin} 0px`
+      });
+      this.tweets.forEach(record => {
+        if (record.element) this.viewport.observe(record.element);
+      });
+    }
+  
+    onViewportChange(entries) {
+      const near = [];
+      const far = [];
+      entries.forEach(entry => {
+        const record = this.tweets.get(this.elementTweetIds.get(entry.target));
+        if (!record || record.element !== entry.target) return;
+
+        record.nearViewport = entry.isIntersecting;
+        const queued = (record.pending || record.rechecking) && !this.awaitingCheck.has(record);
+        if (queued) (entry.isIntersecting ? near : far).push(record.id);
+      });
+
+      if (near.length > 0 || far.length > 0) {
+        chrome.runtime.sendMessage({ action: 'setPriority', near, far }).catch(error => {
+          console.log('❌ Could not reprioritize tweets:', error);
+        });
+      }
+      this.checkNearViewport();
+    }
+  
     startObserving() {
       // Observer for dynamically loaded tweets
       const observer = new MutationObserver((mutations) => {
@@ -86,90 +196,407 @@ class TwitterContentFilter {
       });
     }
   
-    async processTweets() {
-      if (this.filters.length === 0) return;
+    // Rules that are enabled and inside their schedule right now
+    activeFilters() {
+      return activeRules(this.filters, { focus: this.focusUntil > Date.now() });
+    }
+  
+    // recheckSeen: something other than the rules changed what applies to
+    // tweets already seen (an author list), so treat them as if the rules had
+    async processTweets({ recheckSeen = false } = {}) {
+      const activeRules = this.activeFilters();
+      const version = filterSetVersion(activeRules);
+      const activeSetChanged = version !== this.filterVersion || recheckSeen;
+      this.filterVersion = version;
+      if (activeSetChanged) {
+        // Matches for rules that were removed, edited or went inactive come off
+        this.tweets.forEach(record => this.applyVerdict(record));
+      }
+      // Deny lists hide posts with or without any rules
+      if (activeRules.length === 0 && !this.authorLists.some(list => list.policy === 'deny')) {
+        this.settleOutstanding();
+        return;
+      }
 
-      // Twitter/X selectors for tweets
-      const tweetSelectors = [
-        '[data-testid="tweet"]',
-        '[data-testid="tweetText"]',
-        'article[role="article"]'
-      ];
+      if (this.site.tracksFollows) this.followTracker.scan();
+      this.site.startPass();
 
-      // Collect unprocessed tweets and prepare batch entries
-      const batchEntries = [];
+      // Resolve every rendered post to a single record. Sites re-render and
+      // recycle elements, so a post we already know just gets its verdict
+      // re-applied to the new element instead of being sent again.
+      const newRecords = [];
+      const attached = []; // known records that just got a new element
+      const gainedContext = new Set(); // known records now shown with the post they reply to
 
-      for (const selector of tweetSelectors) {
-        const elements = document.querySelectorAll(selector);
-        for (const el of elements) {
-          if (this.processedTweets.has(el)) continue; // skip already handled
+      for (const postElement of this.site.findPosts()) {
+        const status = this.site.findPostId(postElement);
+        let record = status && this.tweets.get(status.statusId);
+        const el = this.site.overlayAnchor(postElement);
 
-          const tweetText = this.extractTweetText(el);
-          if (!tweetText) continue; // nothing to evaluate
+        if (!record) {
+          record = TweetRecord.fromElement(postElement, this.site);
+          if (!record) continue; // not rendered yet, retry on the next mutation
 
-          const imageSources = Array.from(el.querySelectorAll('img')).map(img => img.src);
+          if (this.tweets.has(record.id)) {
+            record = this.tweets.get(record.id);
+          } else {
+            this.tweets.set(record.id, record);
+            newRecords.push(record);
+          }
+        }
 
-          batchEntries.push([el, { text: tweetText, images: imageSources }]);
-          this.processedTweets.add(el);
+        const previousId = this.elementTweetIds.get(el);
+        if (previousId === record.id) continue; // skip already handled
+        if (previousId !== undefined) {
+          // Element was recycled to render a different tweet
+          this.removeFilter(el);
         }
-        // Stop once we have collected some tweets for this round
-        if (batchEntries.length > 0) break;
+
+        this.elementTweetIds.set(el, record.id);
+        if (record.element && record.element !== el) this.viewport.unobserve(record.element);
+        record.element = el;
+        record.nearViewport = false; // until the observer says otherwise
+        this.viewport.observe(el);
+        if (newRecords.includes(record)) {
+          // Waiting from the moment it's collected, so pending review can blur it right away
+          record.pending = true;
+        } else {
+          attached.push(record);
+          if (this.refreshContext(record, postElement)) gainedContext.add(record);
+        }
+        this.applyVerdict(record);
       }
 
-      if (batchEntries.length === 0) return;
+      // Author lists and rule scopes are settled here; a tweet whose author
+      // is allowed or denied, or that no rule applies to, never goes to the model
+      newRecords.forEach(record => {
+        record.authorFollowed = this.followTracker.isFollowing(record.author && record.author.handle);
+        this.matchAuthorLists(record);
+        record.ruleIds = this.applicableRules(record, activeRules).map(rule => rule.id);
+        if (record.ruleIds.length > 0) {
+          this.awaitingCheck.add(record);
+        } else {
+          this.receiveVerdict(record, this.unsentVerdict(record));
+        }
+      });
+
+      // Tweets seen under a different set of active rules (rules were added,
+      // edited or widened, or a schedule or focus mode switched) are checked
+      // again against the rules that are new to them. Visible ones go now;
+      // the rest when they're rendered again.
+      const seen = activeSetChanged
+        ? [...this.tweets.values()].filter(record => !newRecords.includes(record) && record.element && record.element.isConnected)
+        : attached;
+      seen.forEach(record => {
+        const rules = this.rulesToRecheck(record, this.applicableRules(record, activeRules), gainedContext.has(record));
+        if (rules.length > 0) {
+          record.ruleIds = rules.map(rule => rule.id);
+          record.rechecking = true;
+          this.awaitingCheck.add(record);
+        }
+      });
+
+      await this.checkNearViewport();
+    }
+
+    // Send the tweets waiting to be checked that are near the viewport,
+    // closest first. The rest wait until the viewport observer sees them.
+    async checkNearViewport() {
+      const toAnalyze = [...this.awaitingCheck]
+        .filter(record => record.nearViewport && record.element && record.element.isConnected);
+      if (toAnalyze.length === 0) return;
+      toAnalyze.forEach(record => this.awaitingCheck.delete(record));
+      toAnalyze.sort((a, b) => viewportDistance(a.element) - viewportDistance(b.element));
+
+      // Rules may have gone inactive while the tweet waited
+      const activeRules = this.activeFilters();
+      const batch = toAnalyze.filter(record => {
+        record.requestVersion = this.filterVersion;
+        record.requested = new Map(activeRules
+          .filter(rule => record.ruleIds.includes(rule.id))
+          .map(rule => [rule.id, ruleFingerprint(rule)]));
+        record.ruleIds = [...record.requested.keys()];
+        if (record.ruleIds.length > 0 && !record.authorPolicy) return true;
+
+        record.rechecking = false;
+        if (record.pending) {
+          this.receiveVerdict(record, this.unsentVerdict(record));
+        }
+        return false;
+      });
+      if (batch.length === 0) return;
 
       // Send the collected tweets for batch filtering
-      const results = await this.batchFilterContent(batchEntries);
+      const results = await this.batchFilterContent(batch);
 
-      // Apply filtering decisions to corresponding tweet elements
+      // Apply filtering decisions to each tweet's current element
       results.forEach((res, idx) => {
-        if (res && res.shouldFilter) {
-          const tweetElement = batchEntries[idx][0];
-          this.applyFilter(tweetElement, res.reason, res.confidence, res.method);
-        }
+        this.receiveVerdict(batch[idx], res);
       });
     }
-  
-    extractTweetText(tweetElement) {
-      // Try different selectors to get tweet text
-      const textSelectors = [
-        '[data-testid="tweetText"]',
-        '[lang]',
-        '.tweet-text',
-        '.js-tweet-text',
-        'span'
-      ];
-  
-      let text = '';
-      for (const selector of textSelectors) {
-        const textElement = tweetElement.querySelector(selector);
-        if (textElement) {
-          text += textElement.textContent + ' ';
+
+    // Which of the user's author lists the author is on, and the allow or deny
+    // list that settles the tweet, if any. Handles come from the adapter,
+    // which reads them from the author's profile link.
+    matchAuthorLists(record) {
+      const handle = record.author && record.author.handle;
+      record.authorLists = authorListsContaining(this.authorLists, handle).map(list => list.id);
+      record.authorPolicy = authorListPolicy(this.authorLists, handle);
+    }
+
+    // The active rules to check a tweet against; none if its author's lists settle it
+    applicableRules(record, activeRules) {
+      if (record.authorPolicy) return [];
+      return activeRules.filter(rule => ruleAppliesTo(rule, record));
+    }
+
+    // Verdict for a tweet that isn't sent to the model; applyVerdict puts a
+    // deny list's overlay on it
+    unsentVerdict(record) {
+      const list = record.authorPolicy;
+      return list
+        ? { shouldFilter: false, method: 'Author List', reason: `Account list: ${list.name}` }
+        : { shouldFilter: false, method: 'Out of Scope', reason: 'No rule applies' };
+    }
+
+    // With no rules left to check against, tweets still queued or waiting for
+    // a verdict stop waiting. Nothing is marked as checked, so they're sent
+    // again if a rule comes back.
+    settleOutstanding() {
+      this.awaitingCheck.clear();
+      this.tweets.forEach(record => {
+        if (!record.pending && !record.rechecking) return;
+        record.pending = false;
+        record.rechecking = false;
+        record.requested = new Map();
+        this.applyVerdict(record);
+      });
+    }
+
+    // Which of the rules that now apply a seen tweet has to be checked
+    // against. A match on an unchanged rule stands; if the matched rule was
+    // removed or edited, any of the others may match instead. Otherwise only
+    // new and edited rules are sent, and the rest keep their verdicts. When
+    // the post has gained context, model rules count as changed too, since
+    // the model never saw it.
+    rulesToRecheck(record, applicable, gainedContext = false) {
+      if (record.pending || record.rechecking || applicable.length === 0) return [];
+
+      const seenByModel = rule => !rule.match || rule.match === 'model';
+      const unchanged = rule => record.checkedRules.get(rule.id) === ruleFingerprint(rule) &&
+        !(gainedContext && seenByModel(rule));
+      const res = record.verdict;
+      if (res && res.shouldFilter && res.ruleId) {
+        const matchedRule = applicable.find(rule => rule.id === res.ruleId);
+        return matchedRule && unchanged(matchedRule) ? [] : applicable;
+      }
+      return applicable.filter(rule => !unchanged(rule));
+    }
+
+    // A post first seen in a timeline is only shown with the post it replies
+    // to on its conversation page. Context that turns up is kept, and whether
+    // it did is returned; context that goes away again (back on the
+    // timeline) is not, so the post isn't checked over and over.
+    refreshContext(record, postElement) {
+      const fields = this.site.extractPost(postElement);
+      if (!fields) return false;
+
+      const parent = fields.parent || null;
+      const gainedParent = !!parent && JSON.stringify(parent) !== JSON.stringify(record.parent);
+      const gainedReply = (!!fields.isReply || !!parent) && !record.isReply;
+      if (!gainedParent && !gainedReply) return false;
+
+      if (gainedParent) record.parent = parent;
+      record.isReply = true;
+      return true;
+    }
+
+    // Verdicts for tweets that were queued by the background scheduler arrive
+    // over this port, each one as soon as the model's response has it. The
+    // worker closes it when it's stopped, so it's reopened with the next batch.
+    connectVerdictPort() {
+      if (this.verdictPort) return;
+
+      this.verdictPort = chrome.runtime.connect({ name: VERDICT_PORT });
+      this.verdictPort.onMessage.addListener((message) => {
+        if (message.action === 'verdicts') this.receiveVerdicts(message.verdicts);
+      });
+      this.verdictPort.onDisconnect.addListener(() => {
+        this.verdictPort = null;
+        this.requeueOutstanding();
+      });
+    }
+
+    // A stopped worker takes its queue with it, so tweets still waiting for a
+    // verdict are sent again. If the worker is still running, the scheduler
+    // joins them to the requests it already has.
+    requeueOutstanding() {
+      const outstanding = [...this.tweets.values()]
+        .filter(record => (record.pending || record.rechecking) && record.requested.size > 0);
+      if (outstanding.length === 0) return;
+
+      console.log('🔌 Verdict port closed, re-sending', outstanding.length, 'tweets');
+      outstanding.forEach(record => {
+        record.ruleIds = [...record.requested.keys()];
+        record.requested = new Map();
+        this.awaitingCheck.add(record);
+      });
+      this.checkNearViewport();
+    }
+
+    receiveVerdicts(verdicts) {
+      verdicts.forEach(({ id, verdict }) => {
+        const record = this.tweets.get(id);
+        if (record) this.receiveVerdict(record, verdict);
+      });
+    }
+
+    // Queued tweets come back as pending; their real verdict arrives later
+    // over the verdict port, possibly twice: once streamed and once when the
+    // whole response is in. A tweet being re-checked keeps showing its current
+    // verdict until then.
+    receiveVerdict(record, res) {
+      // Verdicts carry the filter-set version they were requested under; one
+      // from before the tweet's latest request is stale
+      if (res && res.filterVersion && res.filterVersion !== record.requestVersion) return;
+      if (res && res.pending && record.verdict) return;
+
+      record.rechecking = false;
+      record.pending = !!(res && res.pending);
+      record.verdict = record.pending ? null : res;
+      if (!record.pending) {
+        record.requested.forEach((fingerprint, ruleId) => record.checkedRules.set(ruleId, fingerprint));
+        record.requested = new Map();
+      }
+      this.applyVerdict(record);
+    }
+
+    applyVerdict(record) {
+      const tweetElement = record.element;
+      if (!tweetElement) return;
+
+      // The author's lists overrule the rules, even while a verdict is outstanding
+      const list = record.authorPolicy;
+      if (record.pending && !list) {
+        tweetElement.dataset.filterState = 'pending';
+        if (this.preferences.pendingReview) {
+          this.applyPendingOverlay(tweetElement);
+        } else {
+          this.clearPendingOverlay(tweetElement);
         }
+        return;
+      }
+      delete tweetElement.dataset.filterState;
+      this.clearPendingOverlay(tweetElement);
+
+      // A match only counts if its rule is still active and unedited since
+      // the verdict, and the model was at least as confident as the rule's
+      // threshold
+      const res = record.verdict;
+      const rule = res && res.shouldFilter && this.activeFilters().find(r => r.id === res.ruleId);
+      const matched = rule && record.checkedRules.get(rule.id) === ruleFingerprint(rule) &&
+        parseInt(res.confidence, 10) >= rule.threshold;
+
+      let desired = null;
+      if (list) {
+        desired = list.policy === 'deny' ? `list:${list.id}` : null;
+      } else if (matched) {
+        desired = `${rule.id}:${rule.action}`;
+      } else if (res && res.error && this.preferences.failMode === 'closed') {
+        desired = 'error';
       }
+
+      // Rules, thresholds and fail mode can change after the verdict arrived
+      const current = tweetElement.dataset.filterApplied || null;
+      if (desired === current) return;
+      if (current) this.removeFilter(tweetElement);
+      if (!desired) return;
+
+      if (desired === 'error') {
+        this.applyErrorOverlay(tweetElement, res);
+      } else if (list) {
+        this.applyFilter(tweetElement, `Account list: ${list.name}`, '100%', 'Author List', 'hide', null, {
+          gloss: this.glossFor(record)
+        });
+      } else {
+        this.applyFilter(tweetElement, rule.description, res.confidence, res.method, rule.action, () => {
+          this.sendFeedback(record, rule.id, 'wronglyFiltered');
+        }, { why: this.explainVerdict(rule, res), gloss: this.glossFor(record) });
+      }
+      tweetElement.dataset.filterApplied = desired;
+    }
   
-      return text.trim();
+    // What the "Why?" panel shows: every active rule the post matched (the
+    // one acted on first), and the reasoning and words behind the match
+    explainVerdict(rule, res) {
+      const activeRules = this.activeFilters();
+      const others = (res.matchedRuleIds || [])
+        .filter(id => id !== rule.id)
+        .map(id => activeRules.find(candidate => candidate.id === id))
+        .filter(Boolean);
+      return {
+        rules: [rule, ...others].map(match => match.description),
+        reasoning: res.details || null,
+        spans: res.spans || []
+      };
+    }
+
+    // "Show in English" for posts the site marks as being in another
+    // language; the background worker asks the model for the translation
+    glossFor(record) {
+      if (!record.language || record.language === 'en') return null;
+      return async () => {
+        const response = await chrome.runtime.sendMessage({ action: 'glossPost', tweet: record.toMessage() });
+        if (!response || response.error) throw new Error(response ? response.error : 'No response');
+        return response.gloss;
+      };
+    }
+
+    // Store the correction and act on it right away; the background worker
+    // applies it to this post from now on and uses it as a prompt example
+    sendFeedback(record, ruleId, kind) {
+      const rule = this.filters.find(r => r.id === ruleId);
+      if (!rule) return;
+
+      chrome.runtime.sendMessage({ action: 'addFeedback', tweet: record.toMessage(), ruleId, kind }).catch(error => {
+        console.log('❌ Could not save feedback:', error);
+      });
+      record.checkedRules.set(ruleId, ruleFingerprint(rule));
+      this.receiveVerdict(record, kind === 'missed'
+        ? { shouldFilter: true, ruleId, confidence: '100%', method: 'Your Feedback', reason: rule.description }
+        : { shouldFilter: false, ruleId: null, confidence: '0%', method: 'Your Feedback', reason: 'No filter matched' });
+    }
+
+    // The record whose overlay anchor contains this element
+    recordForElement(element) {
+      for (let node = element; node; node = node.parentElement) {
+        const id = this.elementTweetIds.get(node);
+        if (id !== undefined) return this.tweets.get(id) || null;
+      }
+      return null;
     }
   
-    async batchFilterContent(batchEntries) {
+    async batchFilterContent(records) {
       try {
         // Debug: Log batch processing
-        console.log('🤖 API batch analyzing:', batchEntries.length, 'tweets');
-        console.log('🤖 Against filters:', this.filters);
+        console.log('🤖 API batch analyzing:', records.length, 'tweets');
+        console.log('🤖 Against filters:', this.activeFilters().map(rule => rule.description));
         
         // Prepare batch data for background script
-        const batchData = batchEntries.map(([tweetId, tweetData], index) => ({
-          id: tweetId,
-          index: index,
-          text: tweetData.text,
-          hasImages: tweetData.images.length > 0
+        const batchData = records.map((record, index) => ({
+          ...record.toMessage(),
+          ruleIds: record.ruleIds,
+          index: index
         }));
         
-        // Send batch filtering request to background script
+        // Send batch filtering request to background script, with the port
+        // its queued verdicts will come back over already open
+        this.connectVerdictPort();
         const results = await chrome.runtime.sendMessage({
           action: 'filterBatch',
           tweets: batchData,
-          filters: this.filters
+          filters: this.activeFilters(),
+          filterVersion: this.filterVersion
         });
         
         // Debug: Log batch results
@@ -180,8 +607,9 @@ class TwitterContentFilter {
         console.log('❌ Batch filtering error:', error);
         
         // Return default results for all tweets if batch fails
-        return batchEntries.map(() => ({ 
+        return records.map(() => ({ 
           shouldFilter: false, 
+          error: 'Batch processing failed',
           confidence: '0%', 
           method: 'Batch Error',
           reason: 'Batch processing failed',
@@ -190,54 +618,108 @@ class TwitterContentFilter {
       }
     }
   
-    applyFilter(tweetElement, reason, confidence, method) {
+    applyFilter(tweetElement, reason, confidence, method, action = 'hide', onWronglyFiltered = null, { why = null, gloss = null } = {}) {
       // Don't apply filter if already filtered
-      if (tweetElement.classList.contains('filtered-content')) return;
+      if (tweetElement.classList.contains('filtered-content') || tweetElement.classList.contains('filter-labeled')) return;
   
-      tweetElement.classList.add('filtered-content');
+      // "label" leaves the post readable, every other action obscures it
+      tweetElement.classList.add(action === 'label' ? 'filter-labeled' : 'filtered-content', `filter-action-${action}`);
       
-      // Create overlay
-      const overlay = document.createElement('div');
-      overlay.className = 'filter-overlay';
-      
-      // Enhanced overlay with visual filtering info
       const isVisualFilter = method && method.includes('Vision');
-      const filterIcon = isVisualFilter ? '🛡️👁️' : '🛡️';
+      const feedback = onWronglyFiltered
+        ? [{ label: action === 'hide' ? 'Wrongly filtered' : 'Wrong', title: 'Wrongly filtered', onClick: onWronglyFiltered }]
+        : [];
       
-      overlay.innerHTML = `
-        <div class="filter-message">
-          <div class="filter-icon">${filterIcon}</div>
-          <div class="filter-text">
-            <strong>Content Filtered</strong>
-            <p>This post was hidden because it matches: "${reason}"</p>
-            <div class="filter-meta">
-              <span class="confidence">Confidence: ${confidence || 'N/A'}</span>
-              ${method ? `<span class="method">Method: ${method}</span>` : ''}
-            </div>
-            ${isVisualFilter ? '<div class="vision-note">🖼️ Includes image analysis</div>' : ''}
-          </div>
-          <button class="show-content-btn">Show Content</button>
-        </div>
-      `;
-  
-      // Position overlay
-      tweetElement.style.position = 'relative';
-      tweetElement.appendChild(overlay);
-  
-      // Add click handler to show content
-      const showButton = overlay.querySelector('.show-content-btn');
-      showButton.addEventListener('click', () => {
-        overlay.style.display = 'none';
-        tweetElement.classList.add('content-revealed');
+      if (action === 'hide') {
+        createOverlay(tweetElement, {
+          kind: 'filter',
+          icon: isVisualFilter ? '🛡️👁️' : '🛡️',
+          title: 'Content Filtered',
+          message: `This post was hidden because it matches: "${reason}"`,
+          meta: [`Confidence: ${confidence || 'N/A'}`, ...(method ? [`Method: ${method}`] : [])],
+          note: isVisualFilter ? '🖼️ An image in this post triggered the match' : null,
+          revealLabel: 'Show Content',
+          actions: feedback,
+          why,
+          gloss
+        });
+      } else {
+        // Blur, collapse and label use a one-line notice instead of the full card
+        createOverlay(tweetElement, {
+          kind: 'filter',
+          compact: true,
+          icon: isVisualFilter ? '🛡️👁️' : '🛡️',
+          title: (action === 'label' ? reason : `Filtered: "${reason}"`) + (isVisualFilter ? ' · image' : ''),
+          hint: `Confidence: ${confidence || 'N/A'}${method ? ` · Method: ${method}` : ''}`,
+          revealLabel: action === 'label' ? null : 'Show',
+          actions: feedback,
+          why,
+          gloss
+        });
+      }
+      
+      // Posts scrolled past or not reached yet are announced when they're read
+      if (action !== 'label' && viewportDistance(tweetElement) === 0) {
+        announce(`Post filtered: ${reason}`);
+      }
+    }
+
+    // Shown while a verdict is outstanding, in pending review mode
+    applyPendingOverlay(tweetElement) {
+      if (tweetElement.classList.contains('pending-review')) return;
+      tweetElement.classList.add('pending-review');
+
+      createOverlay(tweetElement, {
+        kind: 'pending',
+        icon: '⏳',
+        title: 'Checking Post',
+        message: 'Hidden until it has been checked against your filters.',
+        revealLabel: 'Show Anyway'
       });
     }
+
+    clearPendingOverlay(tweetElement) {
+      if (!tweetElement.classList.contains('pending-review')) return;
+
+      removeOverlays(tweetElement, ':scope > .pending-overlay');
+      tweetElement.classList.remove('pending-review', 'content-revealed');
+    }
+
+    // Fail-closed: the tweet couldn't be checked, so keep it hidden
+    applyErrorOverlay(tweetElement, res) {
+      if (tweetElement.classList.contains('filtered-content')) return;
+      tweetElement.classList.add('filtered-content', 'analysis-failed');
+
+      createOverlay(tweetElement, {
+        kind: 'error',
+        icon: '⚠️',
+        title: 'Could Not Check Post',
+        message: `Hidden because filtering is set to fail closed (${res.error}).`,
+        revealLabel: 'Show Content'
+      });
+    }
+
+    removeFilter(tweetElement) {
+      removeOverlays(tweetElement);
+      tweetElement.classList.remove('filtered-content', 'filter-labeled', 'analysis-failed', 'pending-review', 'content-revealed');
+      Object.keys(RULE_ACTIONS).forEach(action => tweetElement.classList.remove(`filter-action-${action}`));
+      delete tweetElement.dataset.filterState;
+      delete tweetElement.dataset.filterApplied;
+    }
   }
   
-  // Initialize when DOM is ready
+  // Initialize when DOM is ready, on pages one of the site adapters recognises
+  function startContentFilter() {
+    const site = detectSiteAdapter();
+    if (site) {
+      new SocialContentFilter(site);
+    } else {
+      console.log('🛡️ No site adapter for this page, filtering is off');
+    }
+  }
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      new TwitterContentFilter();
-    });
+    document.addEventListener('DOMContentLoaded', startContentFilter);
   } else {
-    new TwitterContentFilter();
+    startContentFilter();
   }
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Learns which accounts the user follows, for rules scoped to "accounts I
+// don't follow". Twitter doesn't mark followed authors on timeline tweets,
+// but it does render Follow/Following buttons (data-testid "<id>-follow" and
+// "<id>-unfollow") on profiles, hover cards and follower lists, so we record
+// what those say as the user browses. Accounts never seen count as not followed.
+
+const FOLLOWED_HANDLES_KEY = 'followedHandles';
+const RESERVED_PATHS = new Set(['home', 'explore', 'notifications', 'messages', 'search', 'settings', 'i', 'compose']);
+
+class FollowTracker {
+  constructor() {
+    this.handles = new Set();
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([FOLLOWED_HANDLES_KEY]);
+      this.handles = new Set(result[FOLLOWED_HANDLES_KEY] || []);
+    } catch (error) {
+      console.error('Error loading followed accounts:', error);
+    }
+  }
+
+  isFollowing(handle) {
+    return !!handle && this.handles.has(handle.toLowerCase());
+  }
+
+  scan(root = document) {
+    let changed = false;
+    for (const button of root.querySelectorAll('[data-testid$="-follow"], [data-testid$="-unfollow"]')) {
+      const handle = this.handleForButton(button);
+      if (!handle) continue;
+
+      const following = button.dataset.testid.endsWith('-unfollow');
+      if (following !== this.handles.has(handle)) {
+        if (following) {
+          this.handles.add(handle);
+        } else {
+          this.handles.delete(handle);
+        }
+        changed = true;
+      }
+    }
+    if (changed) this.scheduleSave();
+  }
+
+  // Buttons in user cells and hover cards sit next to the account's @handle;
+  // the one in a profile header belongs to the profile in the URL
+  handleForButton(button) {
+    const container = button.closest('[data-testid="UserCell"], [data-testid="HoverCard"]');
+    if (container) {
+      const handleText = Array.from(container.querySelectorAll('span'))
+        .map(span => span.textContent.trim())
+        .find(value => /^@[A-Za-z0-9_]{1,15}$/.test(value));
+      return handleText ? handleText.slice(1).toLowerCase() : null;
+    }
+
+    const [segment] = location.pathname.split('/').filter(Boolean);
+    if (segment && /^[A-Za-z0-9_]{1,15}$/.test(segment) && !RESERVED_PATHS.has(segment.toLowerCase())) {
+      return segment.toLowerCase();
+    }
+    return null;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      chrome.storage.local.set({ [FOLLOWED_HANDLES_KEY]: Array.from(this.handles) }).catch(error => {
+        console.error('Error saving followed accounts:', error);
+      });
+    }, 1000);
+  }
+}
@@ -0,0 +1,622 @@
+// Overlays shown over filtered posts. Each one is a host element in the page
+// with its content in a shadow root, so the site's styles can't leak in and
+// nothing the model wrote is ever parsed as markup: every string goes in as
+// text. While a post is covered, the post itself is made inert so keyboard
+// and screen-reader users skip it just like sighted users do.
+// A "Why?" panel explains a filter overlay, and the words that made the post
+// match are highlighted in it once it's shown. Posts in another language can
+// also get an English gloss, fetched only when asked for.
+
+const OVERLAY_STYLES = `
+  :host {
+    all: initial;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    color: #536471;
+  }
+
+  .card {
+    background: white;
+    padding: 20px;
+    border-radius: 12px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+    text-align: center;
+    max-width: 300px;
+    border: 1px solid #e1e8ed;
+  }
+
+  .icon {
+    font-size: 24px;
+    margin-bottom: 10px;
+  }
+
+  .title {
+    color: #0f1419;
+    font-size: 16px;
+    font-weight: 700;
+    display: block;
+    margin-bottom: 8px;
+  }
+
+  .message {
+    font-size: 14px;
+    margin: 0 0 10px 0;
+    line-height: 1.4;
+  }
+
+  .meta {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    font-size: 12px;
+    color: #657786;
+    margin-bottom: 15px;
+    padding-top: 8px;
+    border-top: 1px solid #f0f0f0;
+  }
+
+  .meta span:first-child {
+    font-weight: 500;
+  }
+
+  .meta span + span {
+    font-style: italic;
+  }
+
+  .note {
+    font-size: 12px;
+    margin-bottom: 12px;
+  }
+
+  .buttons {
+    display: flex;
+    gap: 8px;
+    justify-content: center;
+    flex-wrap: wrap;
+  }
+
+  button {
+    font: inherit;
+    font-weight: 600;
+    border-radius: 20px;
+    cursor: pointer;
+  }
+
+  button:focus-visible {
+    outline: 2px solid #1d9bf0;
+    outline-offset: 2px;
+  }
+
+  .primary {
+    background: #1d9bf0;
+    color: white;
+    border: none;
+    padding: 8px 16px;
+    font-size: 14px;
+    transition: background-color 0.2s;
+  }
+
+  .primary:hover {
+    background: #1a8cd8;
+  }
+
+  .secondary {
+    background: transparent;
+    color: #536471;
+    border: 1px solid #cfd9de;
+    padding: 7px 14px;
+    font-size: 13px;
+  }
+
+  .secondary:hover {
+    background: rgba(15, 20, 25, 0.05);
+  }
+
+  /* Blur, collapse and label use a one-line notice instead of the full card */
+  .compact {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    background: white;
+    border: 1px solid #e1e8ed;
+    border-radius: 16px;
+    padding: 6px 12px;
+    font-size: 13px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    pointer-events: auto;
+  }
+
+  :host-context(.filter-action-collapse) .compact {
+    box-shadow: none;
+  }
+
+  .compact .icon {
+    font-size: 14px;
+    margin: 0;
+  }
+
+  .compact .primary {
+    padding: 4px 12px;
+    font-size: 13px;
+  }
+
+  .compact .secondary {
+    padding: 3px 10px;
+    font-size: 12px;
+  }
+
+  /* Once the post is shown, only the button that covers it again is left */
+  .rehide {
+    padding: 4px 12px;
+    font-size: 12px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+  }
+
+  .revealed .card,
+  .revealed .compact,
+  :not(.revealed) > .rehide {
+    display: none;
+  }
+
+  .pending .icon {
+    animation: pulse 1.5s ease-in-out infinite;
+  }
+
+  @keyframes pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.4; }
+  }
+
+  .error .card {
+    border-color: #f4212e;
+  }
+
+  .why,
+  .gloss {
+    max-width: 300px;
+    margin-top: 8px;
+    padding: 10px 12px;
+    background: white;
+    border: 1px solid #e1e8ed;
+    border-radius: 12px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    font-size: 12px;
+    line-height: 1.4;
+    text-align: left;
+    max-height: 200px;
+    overflow-y: auto;
+    pointer-events: auto;
+  }
+
+  .why h4,
+  .gloss h4 {
+    margin: 0 0 4px 0;
+    font-size: 12px;
+    color: #0f1419;
+  }
+
+  .why h4 ~ h4 {
+    margin-top: 8px;
+  }
+
+  .why ul,
+  .why p,
+  .gloss p {
+    margin: 0;
+  }
+
+  .why ul {
+    padding-left: 18px;
+  }
+
+  .why .spans li {
+    font-style: italic;
+  }
+
+  .gloss p {
+    white-space: pre-wrap;
+  }
+
+  .revealed .why,
+  .revealed .gloss {
+    display: none;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    .card,
+    .compact,
+    .why,
+    .gloss {
+      background: #15202b;
+      border-color: #38444d;
+      color: #8b98a5;
+    }
+
+    .title,
+    .why h4,
+    .gloss h4 {
+      color: #ffffff;
+    }
+  }
+
+  @media (max-width: 600px) {
+    .card {
+      max-width: 250px;
+      padding: 15px;
+    }
+
+    .title {
+      font-size: 14px;
+    }
+
+    .message {
+      font-size: 13px;
+    }
+  }
+`;
+
+// Adds an overlay to the element a site adapter anchors overlays to.
+//   kind: 'filter', 'pending' or 'error', also a class on the host
+//   compact: one-line notice instead of the full card
+//   icon, title, message: what the overlay says; title is its accessible name
+//   meta: secondary lines (confidence, method), note: an extra line under them
+//   hint: tooltip for the compact notice
+//   revealLabel: label of the button that shows the post, or null if the
+//                overlay doesn't cover it (labels)
+//   actions: further buttons, [{ label, title, onClick }]
+//   why: { rules, reasoning, spans } for the "Why?" panel: every rule that
+//        matched, the model's reasoning, and the words to highlight
+//   gloss: async function resolving to an English translation of the post,
+//          called the first time "Show in English" is pressed
+function createOverlay(anchor, { kind, compact = false, icon, title, message = null, meta = [], note = null, hint = null, revealLabel = null, actions = [], why = null, gloss = null }) {
+  const host = document.createElement('div');
+  host.className = `filter-overlay ${kind}-overlay`;
+  const shadow = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = OVERLAY_STYLES;
+
+  const root = document.createElement('div');
+  root.className = kind;
+  root.setAttribute('role', 'group');
+  root.setAttribute('aria-label', title);
+
+  const box = document.createElement('div');
+  box.className = compact ? 'compact' : 'card';
+  if (hint) box.title = hint;
+
+  const iconEl = document.createElement(compact ? 'span' : 'div');
+  iconEl.className = 'icon';
+  iconEl.setAttribute('aria-hidden', 'true');
+  iconEl.textContent = icon;
+  box.appendChild(iconEl);
+
+  if (compact) {
+    const text = document.createElement('span');
+    text.textContent = title;
+    box.appendChild(text);
+  } else {
+    const titleEl = document.createElement('strong');
+    titleEl.className = 'title';
+    titleEl.textContent = title;
+    box.appendChild(titleEl);
+    if (message) {
+      const messageEl = document.createElement('p');
+      messageEl.className = 'message';
+      messageEl.id = 'message';
+      messageEl.textContent = message;
+      box.appendChild(messageEl);
+      root.setAttribute('aria-describedby', 'message');
+    }
+    if (meta.length > 0) {
+      const metaEl = document.createElement('div');
+      metaEl.className = 'meta';
+      meta.forEach(line => {
+        const span = document.createElement('span');
+        span.textContent = line;
+        metaEl.appendChild(span);
+      });
+      box.appendChild(metaEl);
+    }
+    if (note) {
+      const noteEl = document.createElement('div');
+      noteEl.className = 'note';
+      noteEl.textContent = note;
+      box.appendChild(noteEl);
+    }
+  }
+
+  const buttons = compact ? box : document.createElement('div');
+  if (!compact) {
+    buttons.className = 'buttons';
+    box.appendChild(buttons);
+  }
+
+  let revealButton = null;
+  let rehideButton = null;
+  if (revealLabel) {
+    revealButton = overlayButton(revealLabel, 'primary');
+    revealButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      setRevealed(true);
+    });
+    buttons.appendChild(revealButton);
+
+    rehideButton = overlayButton('Hide again', 'primary rehide');
+    rehideButton.setAttribute('aria-label', `Hide again: ${title}`);
+    rehideButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      setRevealed(false);
+    });
+  }
+
+  actions.forEach(({ label, title: buttonTitle, onClick }) => {
+    const button = overlayButton(label, 'secondary');
+    if (buttonTitle) button.title = buttonTitle;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    buttons.appendChild(button);
+  });
+
+  root.appendChild(box);
+  if (why) {
+    const panel = whyPanel(why, !!revealLabel);
+    const whyButton = overlayButton('Why?', 'secondary');
+    whyButton.setAttribute('aria-expanded', 'false');
+    whyButton.setAttribute('aria-controls', panel.id);
+    whyButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      panel.hidden = !panel.hidden;
+      whyButton.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+    buttons.appendChild(whyButton);
+    root.appendChild(panel);
+  }
+  if (gloss) {
+    const { button, panel } = glossControls(gloss);
+    buttons.appendChild(button);
+    root.appendChild(panel);
+  }
+  if (rehideButton) root.appendChild(rehideButton);
+  shadow.append(style, root);
+
+  // Escape covers a shown post again from anywhere inside it
+  const onKeydown = (event) => {
+    if (event.key === 'Escape' && host.isConnected && anchor.classList.contains('content-revealed')) {
+      setRevealed(false);
+    }
+  };
+
+  function setRevealed(revealed) {
+    root.classList.toggle('revealed', revealed);
+    anchor.classList.toggle('content-revealed', revealed);
+    setPostInert(anchor, !revealed);
+    if (why) {
+      if (revealed) {
+        showSpanHighlights(anchor, why.spans);
+      } else {
+        clearSpanHighlights(anchor);
+      }
+    }
+    if (revealed) {
+      anchor.addEventListener('keydown', onKeydown);
+      rehideButton.focus();
+      announce('Post shown');
+    } else {
+      anchor.removeEventListener('keydown', onKeydown);
+      revealButton.focus();
+      announce(`Post hidden again. ${message || title}`);
+    }
+  }
+
+  anchor.style.position = 'relative';
+  anchor.appendChild(host);
+  if (revealLabel) setPostInert(anchor, true);
+  // A labeled post is never covered, so its words are highlighted right away
+  if (why && !revealLabel) showSpanHighlights(anchor, why.spans);
+  return host;
+}
+
+function whyPanel({ rules = [], reasoning = null, spans = [] }, covered) {
+  const panel = document.createElement('div');
+  panel.className = 'why';
+  panel.id = 'why';
+  panel.hidden = true;
+
+  const section = (heading, content) => {
+    const headingEl = document.createElement('h4');
+    headingEl.textContent = heading;
+    panel.append(headingEl, content);
+  };
+  const list = (items, className = '') => {
+    const listEl = document.createElement('ul');
+    listEl.className = className;
+    items.forEach(item => {
+      const itemEl = document.createElement('li');
+      itemEl.textContent = item;
+      listEl.appendChild(itemEl);
+    });
+    return listEl;
+  };
+
+  if (rules.length > 0) section(rules.length === 1 ? 'Matched filter' : 'Matched filters', list(rules));
+  if (reasoning) {
+    const text = document.createElement('p');
+    text.textContent = reasoning;
+    section('Reasoning', text);
+  }
+  if (spans.length > 0) {
+    section(covered ? 'Flagged words (highlighted once shown)' : 'Flagged words (highlighted)', list(spans.map(span => `“${span}”`), 'spans'));
+  }
+  return panel;
+}
+
+// "Show in English" and the panel it fills. The translation is fetched on the
+// first press; after that the button just shows and hides it. A failed fetch
+// says why in the panel and can be tried again.
+function glossControls(gloss) {
+  const panel = document.createElement('div');
+  panel.className = 'gloss';
+  panel.id = 'gloss';
+  panel.hidden = true;
+  panel.setAttribute('aria-live', 'polite');
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'In English';
+  const text = document.createElement('p');
+  panel.append(heading, text);
+
+  const button = overlayButton('Show in English', 'secondary');
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', panel.id);
+
+  let loaded = false;
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    button.textContent = open ? 'Hide English' : 'Show in English';
+  };
+
+  button.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    if (loaded) {
+      setOpen(panel.hidden);
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Translating…';
+    try {
+      text.textContent = await gloss();
+      loaded = true;
+    } catch (error) {
+      text.textContent = `Couldn't translate this post: ${error.message}`;
+    }
+    button.disabled = false;
+    setOpen(true);
+    if (!loaded) button.textContent = 'Try translating again';
+  });
+
+  return { button, panel };
+}
+
+function overlayButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+// Takes every overlay off the anchor and gives the post back to the keyboard
+function removeOverlays(anchor, selector = ':scope > .filter-overlay') {
+  anchor.querySelectorAll(selector).forEach(overlay => overlay.remove());
+  if (!anchor.querySelector(':scope > .filter-overlay')) {
+    setPostInert(anchor, false);
+    clearSpanHighlights(anchor);
+  }
+}
+
+// Highlights are painted with the CSS Custom Highlight API, so the site's DOM
+// (which it re-renders as it likes) is never touched. styles.css colours them.
+const SPAN_HIGHLIGHT = 'smart-filter-span';
+// Sites drop posts from the DOM as they scroll away, so nothing here keeps
+// them alive: the map is weak, and ranges in posts that are gone (which the
+// browser collapses to where the post was) are taken out of the highlight
+// whenever new ones go in
+const spanRanges = new WeakMap(); // anchor -> Ranges highlighted in it
+
+function showSpanHighlights(anchor, spans) {
+  if (!spans || spans.length === 0 || typeof Highlight === 'undefined' || !CSS.highlights) return;
+  clearSpanHighlights(anchor);
+
+  let highlight = CSS.highlights.get(SPAN_HIGHLIGHT);
+  if (!highlight) {
+    highlight = new Highlight();
+    CSS.highlights.set(SPAN_HIGHLIGHT, highlight);
+  }
+  highlight.forEach(range => {
+    if (range.collapsed || !range.startContainer.isConnected) highlight.delete(range);
+  });
+  const ranges = findSpanRanges(anchor, spans);
+  ranges.forEach(range => highlight.add(range));
+  spanRanges.set(anchor, ranges);
+}
+
+function clearSpanHighlights(anchor) {
+  const ranges = spanRanges.get(anchor);
+  if (!ranges) return;
+  const highlight = CSS.highlights.get(SPAN_HIGHLIGHT);
+  if (highlight) ranges.forEach(range => highlight.delete(range));
+  spanRanges.delete(anchor);
+}
+
+// Every occurrence of each span in the element's text, ignoring case and
+// differences in whitespace. A match can cross element boundaries (links,
+// hashtags), so the text nodes are searched as one string.
+function findSpanRanges(element, spans) {
+  const nodes = [];
+  let text = '';
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.nodeValue;
+  }
+
+  // The node holding a character offset; an end offset belongs to the node it closes
+  const locate = (offset, isEnd) => {
+    const entry = nodes.find(({ node, start }) => isEnd
+      ? offset > start && offset <= start + node.nodeValue.length
+      : offset >= start && offset < start + node.nodeValue.length);
+    return { node: entry.node, offset: offset - entry.start };
+  };
+
+  const ranges = [];
+  spans.forEach(span => {
+    const words = span.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return;
+    const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'gi');
+    for (const match of text.matchAll(pattern)) {
+      const start = locate(match.index, false);
+      const end = locate(match.index + match[0].length, true);
+      const range = document.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      ranges.push(range);
+    }
+  });
+  return ranges;
+}
+
+// Only the nodes we made inert are restored, so the site's own are left alone
+function setPostInert(anchor, inert) {
+  Array.from(anchor.children).forEach(child => {
+    if (child.classList.contains('filter-overlay')) return;
+    if (inert && !child.inert) {
+      child.inert = true;
+      child.dataset.filterInert = 'true';
+    } else if (!inert && child.dataset.filterInert) {
+      child.inert = false;
+      delete child.dataset.filterInert;
+    }
+  });
+}
+
+// One visually hidden live region per page, for polite screen-reader updates
+function announce(text) {
+  let region = document.getElementById('smart-filter-announcer');
+  if (!region) {
+    region = document.createElement('div');
+    region.id = 'smart-filter-announcer';
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('role', 'status');
+    region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+    document.body.appendChild(region);
+  }
+  // Clearing first makes a repeated message count as a change
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = text;
+  }, 50);
+}
@@ -0,0 +1,91 @@
+// Bluesky (bsky.app) adapter. The web app is React Native Web, so there are
+// no semantic elements; posts are found by their data-testid, which embeds the
+// author's handle ("feedItem-by-alice.bsky.social").
+
+const BLUESKY_POST_SELECTOR = '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]';
+const BLUESKY_POST_PATH_PATTERN = /^\/profile\/([^/]+)\/post\/([A-Za-z0-9]+)/;
+
+registerSiteAdapter({
+  id: 'bluesky',
+
+  findPosts(root = document) {
+    return outermostElements(root, BLUESKY_POST_SELECTOR);
+  },
+
+  findPostId(element) {
+    return findBlueskyPost(element);
+  },
+
+  extractPost(element) {
+    const status = findBlueskyPost(element);
+    const quotedContainer = findBlueskyQuote(element);
+    const handle = element.dataset.testid.replace(/^(feedItem|postThreadItem)-by-/, '');
+    const textElement = firstOutside(element, '[data-testid="postText"]', quotedContainer);
+
+    return {
+      statusId: status && status.statusId,
+      permalink: status && status.permalink,
+      author: { handle, displayName: null },
+      timestamp: null,
+      text: extractText(textElement),
+      language: extractLanguage(textElement),
+      quoted: quotedContainer ? {
+        author: null,
+        text: extractText(quotedContainer.querySelector('[data-testid="postText"]')),
+        timestamp: null,
+        media: blueskyMedia(quotedContainer, null)
+      } : null,
+      media: blueskyMedia(element, quotedContainer),
+      // Replies in the feed carry a "Reply to <name>" line above the text
+      isReply: Array.from(element.querySelectorAll('div'))
+        .some(div => div.childElementCount === 0 && /^Reply to /.test(div.textContent.trim())),
+      isPromoted: false,
+      ...blueskyRepost(element)
+    };
+  }
+});
+
+// The first link to a post that isn't inside a quote is the post itself;
+// the rkey is only unique per author, so the ID keeps both
+function findBlueskyPost(element, quotedContainer = findBlueskyQuote(element)) {
+  for (const link of element.querySelectorAll('a[href*="/post/"]')) {
+    if (quotedContainer && quotedContainer.contains(link)) continue;
+    const match = new URL(link.getAttribute('href'), location.origin).pathname.match(BLUESKY_POST_PATH_PATTERN);
+    if (match) {
+      return {
+        statusId: `bluesky:${match[1]}/${match[2]}`,
+        permalink: `${location.origin}/profile/${match[1]}/post/${match[2]}`,
+        handle: match[1]
+      };
+    }
+  }
+  return null;
+}
+
+// Reposts in the feed carry a "Reposted by <name>" line above the author
+function blueskyRepost(element) {
+  for (const div of element.querySelectorAll('div')) {
+    if (div.childElementCount > 0) continue;
+    const match = div.textContent.trim().match(/^Reposted by (.+)$/);
+    if (match) return { isRepost: true, repostedBy: match[1] };
+  }
+  return { isRepost: false, repostedBy: null };
+}
+
+// Quote posts are embedded as a role="link" block with their own post text
+function findBlueskyQuote(element) {
+  for (const candidate of element.querySelectorAll('[role="link"]')) {
+    if (candidate.querySelector('[data-testid="postText"]')) return candidate;
+  }
+  return null;
+}
+
+// Post images come from the CDN's feed_thumbnail/feed_fullsize paths; avatars don't
+function blueskyMedia(root, excluded) {
+  const media = [];
+  for (const img of root.querySelectorAll('img[src*="/img/feed_"]')) {
+    if (excluded && excluded.contains(img)) continue;
+    media.push({ type: 'photo', src: img.src, alt: img.alt || '' });
+  }
+  return media;
+}
@@ -0,0 +1,79 @@
+// Mastodon web adapter. Instances run on their own domains, so the page is
+// recognised by the web app's #mastodon root rather than by URL; the manifest
+// can only inject into the instances listed in shared/sites.js.
+
+registerSiteAdapter({
+  id: 'mastodon',
+
+  detect() {
+    return !!document.getElementById('mastodon');
+  },
+
+  findPosts(root = document) {
+    return outermostElements(root, '.status[data-id]');
+  },
+
+  findPostId(element) {
+    return findMastodonStatus(element);
+  },
+
+  extractPost(element) {
+    const status = findMastodonStatus(element);
+    const account = element.querySelector('.display-name__account');
+    const displayName = element.querySelector('.display-name__html');
+    const time = element.querySelector('.status__relative-time time[datetime], time[datetime]');
+    // Content warnings are part of what the author wrote, so they're included
+    const content = element.querySelector('.status__content');
+
+    return {
+      statusId: status && status.statusId,
+      permalink: status && status.permalink,
+      author: account ? {
+        handle: account.textContent.trim().replace(/^@/, ''),
+        displayName: displayName ? extractText(displayName) : null
+      } : null,
+      timestamp: time ? time.getAttribute('datetime') : null,
+      text: extractText(content),
+      language: extractLanguage(content),
+      quoted: null,
+      media: mastodonMedia(element),
+      isReply: element.classList.contains('status-reply'),
+      isPromoted: false,
+      ...mastodonBoost(element)
+    };
+  }
+});
+
+// Status IDs are only unique per instance
+function findMastodonStatus(element) {
+  const id = element.dataset.id;
+  if (!id) return null;
+
+  const link = element.querySelector('a.status__relative-time');
+  const account = element.querySelector('.display-name__account');
+  return {
+    statusId: `mastodon:${location.host}/${id}`,
+    permalink: link ? new URL(link.getAttribute('href'), location.origin).href : null,
+    handle: account ? account.textContent.trim().replace(/^@/, '') : null
+  };
+}
+
+// Boosts are introduced by a "<name> boosted" line just before the status
+function mastodonBoost(element) {
+  const prepend = element.previousElementSibling;
+  if (!prepend || !prepend.classList.contains('status__prepend')) return { isRepost: false, repostedBy: null };
+
+  const match = prepend.textContent.trim().match(/^(.+?)\s+boosted$/);
+  return match ? { isRepost: true, repostedBy: match[1] } : { isRepost: false, repostedBy: null };
+}
+
+function mastodonMedia(element) {
+  const media = [];
+  for (const img of element.querySelectorAll('.media-gallery__item img')) {
+    media.push({ type: 'photo', src: img.src, alt: img.alt || '' });
+  }
+  for (const video of element.querySelectorAll('.video-player video, .media-gallery__item video')) {
+    if (video.poster) media.push({ type: 'video', src: video.poster, alt: '' });
+  }
+  return media;
+}
@@ -0,0 +1,115 @@
+// Reddit adapter, for both the current site (shreddit-* custom elements, which
+// carry most of what we need as attributes) and old.reddit.com (.thing divs).
+// Comments are judged as posts of their own and count as replies.
+
+const REDDIT_POST_SELECTOR = 'shreddit-post, shreddit-ad-post, shreddit-comment, .thing.link, .thing.comment';
+
+registerSiteAdapter({
+  id: 'reddit',
+
+  // Comments nest inside their parent comment, so every match is its own post
+  findPosts(root = document) {
+    return Array.from(root.querySelectorAll(REDDIT_POST_SELECTOR));
+  },
+
+  findPostId(element) {
+    return findRedditThing(element);
+  },
+
+  extractPost(element) {
+    const status = findRedditThing(element);
+    const isComment = element.matches('shreddit-comment, .thing.comment');
+    const body = isComment ? redditCommentBody(element) : redditPostBody(element);
+    const title = isComment ? '' : redditPostTitle(element);
+    const parent = isComment ? findRedditParent(element) : null;
+
+    return {
+      statusId: status && status.statusId,
+      permalink: status && status.permalink,
+      author: status && status.handle ? { handle: status.handle, displayName: null } : null,
+      timestamp: element.getAttribute('created-timestamp') || redditTimestamp(element),
+      text: [title, extractText(body)].filter(Boolean).join('\n'),
+      quoted: null,
+      parent: parent ? extractRedditParent(parent) : null,
+      media: isComment ? [] : redditMedia(element),
+      isReply: isComment,
+      isPromoted: element.matches('shreddit-ad-post') || element.hasAttribute('promoted') ||
+        element.dataset.promoted === 'true'
+    };
+  },
+
+  // Comments hold their replies, so only the comment's own body gets covered
+  overlayAnchor(element) {
+    if (element.matches('shreddit-comment')) {
+      return element.querySelector(':scope > [slot="comment"]') || element;
+    }
+    if (element.matches('.thing.comment')) {
+      return element.querySelector(':scope > .entry') || element;
+    }
+    // shreddit-post renders into a shadow root, so overlays go on its wrapper
+    return element.closest('article') || element;
+  }
+});
+
+// Posts are t3_, comments t1_: shreddit elements carry the ID in thingid or
+// id, old Reddit in data-fullname
+function findRedditThing(element) {
+  const thingId = element.getAttribute('thingid') || element.dataset.fullname || element.id;
+  if (!thingId || !/^t[13]_\w+$/.test(thingId)) return null;
+
+  const permalink = element.getAttribute('permalink') || element.dataset.permalink;
+  return {
+    statusId: `reddit:${thingId}`,
+    permalink: permalink ? new URL(permalink, location.origin).href : null,
+    handle: element.getAttribute('author') || element.dataset.author || null
+  };
+}
+
+// A comment answers the comment it's nested in, or the post at the top of the page
+function findRedditParent(comment) {
+  const enclosing = comment.parentElement && comment.parentElement.closest('shreddit-comment, .thing.comment');
+  return enclosing || document.querySelector('shreddit-post, .thing.link');
+}
+
+function extractRedditParent(element) {
+  const status = findRedditThing(element);
+  const isComment = element.matches('shreddit-comment, .thing.comment');
+  const body = isComment ? redditCommentBody(element) : redditPostBody(element);
+  return {
+    author: status && status.handle ? { handle: status.handle, displayName: null } : null,
+    text: [isComment ? '' : redditPostTitle(element), extractText(body)].filter(Boolean).join('\n')
+  };
+}
+
+function redditPostTitle(element) {
+  const title = element.getAttribute('post-title');
+  if (title) return title.trim();
+  const link = element.querySelector('[slot="title"], a.title');
+  return link ? link.textContent.trim() : '';
+}
+
+function redditPostBody(element) {
+  return element.querySelector('[slot="text-body"], .expando .usertext-body');
+}
+
+function redditCommentBody(element) {
+  return element.querySelector(':scope > [slot="comment"], :scope > .entry .usertext-body');
+}
+
+function redditTimestamp(element) {
+  const time = element.querySelector(':scope > [slot="commentMeta"] time, :scope > .entry time, time[datetime]');
+  return time ? time.getAttribute('datetime') : null;
+}
+
+function redditMedia(element) {
+  const media = [];
+  for (const img of element.querySelectorAll('[slot="post-media-container"] img, img.media-lightbox-img, .expando img')) {
+    if (!img.src || media.some(item => item.src === img.src)) continue;
+    media.push({ type: 'photo', src: img.src, alt: img.alt || '' });
+  }
+  const thumbnail = element.getAttribute('content-href');
+  if (media.length === 0 && thumbnail && /^https:\/\/i\.redd\.it\//.test(thumbnail)) {
+    media.push({ type: 'photo', src: thumbnail, alt: '' });
+  }
+  return media;
+}
@@ -0,0 +1,43 @@
+// Site adapters. Each one teaches the content script how a single site renders
+// posts, so the filtering pipeline itself never touches site-specific markup.
+//
+//   id                 matches an entry in SITES (shared/sites.js)
+//   detect()           whether the current page belongs to this site; defaults
+//                      to checking the URL against the site's match patterns
+//   findPosts(root)    outermost post elements on the page
+//   findPostId(el)     { statusId, permalink, handle } or null. statusId has to
+//                      survive re-renders and must not collide with other sites
+//   startPass()        called before each pass over the page's posts, so
+//                      anything an adapter worked out from the whole page
+//                      (a conversation's order) is worked out again
+//   extractPost(el)    fields for a TweetRecord, or null if the post hasn't
+//                      finished rendering. Context the model should see goes
+//                      in quoted, parent, isReply, isPromoted and isRepost,
+//                      and language when the site tags the text with one
+//   overlayAnchor(el)  element the filter overlays are attached to
+//   tracksFollows      FollowTracker understands this site's follow buttons
+
+const SITE_ADAPTERS = [];
+
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push({
+    detect() {
+      const site = siteForUrl(location.href);
+      return !!site && site.id === adapter.id;
+    },
+    overlayAnchor: element => element,
+    startPass() {},
+    tracksFollows: false,
+    ...adapter
+  });
+}
+
+function detectSiteAdapter() {
+  return SITE_ADAPTERS.find(adapter => adapter.detect()) || null;
+}
+
+// Outermost matches only, for sites that nest posts (quotes, comment threads)
+function outermostElements(root, selector) {
+  return Array.from(root.querySelectorAll(selector))
+    .filter(el => !el.parentElement || !el.parentElement.closest(selector));
+}
@@ -0,0 +1,203 @@
+// Twitter/X adapter.
+
+const TWEET_SELECTOR = 'article[data-testid="tweet"], article[role="article"]';
+const STATUS_PATH_PATTERN = /^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/;
+
+registerSiteAdapter({
+  id: 'twitter',
+  tracksFollows: true,
+
+  // Outermost tweet articles only; a tweet never nests another <article>
+  // but older layouts wrap the testid'd article in a role="article" one.
+  findPosts(root = document) {
+    return outermostElements(root, TWEET_SELECTOR);
+  },
+
+  findPostId(article) {
+    return findTweetStatus(article);
+  },
+
+  startPass() {
+    conversationIndex = null;
+  },
+
+  extractPost(article) {
+    const quotedContainer = findQuotedContainer(article);
+    const status = findTweetStatus(article, quotedContainer);
+    const parent = findConversationParent(article, status);
+    const repost = extractRepost(article);
+    const textElement = firstOutside(article, '[data-testid="tweetText"]', quotedContainer);
+
+    return {
+      statusId: status && status.statusId,
+      permalink: status && status.permalink,
+      author: extractAuthor(article, quotedContainer) || (status && { handle: status.handle, displayName: null }),
+      timestamp: extractTimestamp(article, quotedContainer),
+      text: extractText(textElement),
+      language: extractLanguage(textElement),
+      quoted: quotedContainer ? extractQuoted(quotedContainer) : null,
+      parent: parent ? extractParent(parent) : null,
+      media: extractMedia(article, quotedContainer),
+      isReply: detectReply(article, quotedContainer),
+      isPromoted: detectPromoted(article, quotedContainer),
+      isRepost: !!repost,
+      repostedBy: repost && repost.repostedBy
+    };
+  }
+});
+
+// The permalink is the <a> wrapping the tweet's <time>; links elsewhere in the
+// tweet (replies, quoted tweets, cards) can also contain "/status/".
+function findTweetStatus(article, quotedContainer = findQuotedContainer(article)) {
+  const timeLinks = Array.from(article.querySelectorAll('a[href*="/status/"] time'))
+    .map(time => time.closest('a'))
+    .filter(link => !quotedContainer || !quotedContainer.contains(link));
+
+  for (const link of timeLinks) {
+    const url = new URL(link.getAttribute('href'), location.origin);
+    const match = url.pathname.match(STATUS_PATH_PATTERN);
+    if (match) {
+      return { handle: match[1], statusId: match[2], permalink: `${location.origin}/${match[1]}/status/${match[2]}` };
+    }
+  }
+  return null;
+}
+
+// Quoted tweets are rendered inside the outer tweet as a role="link" block
+// with their own User-Name and tweetText
+function findQuotedContainer(article) {
+  const candidates = article.querySelectorAll('div[role="link"]');
+  for (const candidate of candidates) {
+    if (candidate.querySelector('[data-testid="User-Name"]')) return candidate;
+  }
+  return null;
+}
+
+function extractQuoted(container) {
+  const author = extractAuthor(container, null);
+  return {
+    author,
+    text: extractText(container.querySelector('[data-testid="tweetText"]')),
+    timestamp: extractTimestamp(container, null),
+    media: extractMedia(container, null)
+  };
+}
+
+// Only the author and text of the post being replied to; it's context, not
+// something to filter
+function extractParent(article) {
+  const quotedContainer = findQuotedContainer(article);
+  return {
+    author: extractAuthor(article, quotedContainer),
+    text: extractText(firstOutside(article, '[data-testid="tweetText"]', quotedContainer))
+  };
+}
+
+// The conversation's posts in page order, found once per pass (startPass)
+// rather than once per post. Built again if a post turns up that it doesn't
+// have, or after navigating to another conversation.
+let conversationIndex = null;
+
+function indexConversation(focalId) {
+  const posts = outermostElements(document, TWEET_SELECTOR);
+  return {
+    path: location.pathname,
+    posts,
+    positions: new Map(posts.map((post, index) => [post, index])),
+    focalIndex: posts.findIndex(post => {
+      const postStatus = findTweetStatus(post);
+      return postStatus && postStatus.statusId === focalId;
+    })
+  };
+}
+
+// On a conversation page (/user/status/id) the tweet in the URL is shown with
+// the chain it replies to above it and its replies below. Each tweet above it
+// replies to the one before; the ones below are taken as replies to it, which
+// is wrong only for replies nested under another reply.
+function findConversationParent(article, status) {
+  const page = location.pathname.match(STATUS_PATH_PATTERN);
+  if (!page || !status) return null;
+
+  if (!conversationIndex || conversationIndex.path !== location.pathname || !conversationIndex.positions.has(article)) {
+    conversationIndex = indexConversation(page[2]);
+  }
+  const { posts, positions, focalIndex } = conversationIndex;
+  const index = positions.has(article) ? positions.get(article) : -1;
+  if (focalIndex === -1 || index === -1) return null;
+
+  if (index <= focalIndex) return index > 0 ? posts[index - 1] : null;
+  return posts[focalIndex];
+}
+
+// "Alice reposted" (formerly "Alice Retweeted") above the tweet; the same
+// line also says "Pinned" or "Alice liked", which aren't reposts
+function extractRepost(article) {
+  const context = article.querySelector('[data-testid="socialContext"]');
+  if (!context) return null;
+
+  const match = context.textContent.trim().match(/^(.*?)\s*(?:reposted|Retweeted)$/i);
+  return match ? { repostedBy: match[1] || null } : null;
+}
+
+// The handle comes from the profile link next to the name; the "@handle"
+// text is a fallback, as long names can push it out of the layout
+function extractAuthor(root, excluded) {
+  const userName = firstOutside(root, '[data-testid="User-Name"]', excluded);
+  if (!userName) return null;
+
+  const profileLink = Array.from(userName.querySelectorAll('a[href]'))
+    .map(link => link.getAttribute('href').match(/^\/([A-Za-z0-9_]{1,15})$/))
+    .find(Boolean);
+  const handleText = Array.from(userName.querySelectorAll('span'))
+    .map(span => span.textContent.trim())
+    .find(value => /^@[A-Za-z0-9_]{1,15}$/.test(value));
+  const displayName = userName.querySelector('span');
+
+  return {
+    handle: profileLink ? profileLink[1] : handleText ? handleText.slice(1) : null,
+    displayName: displayName ? displayName.textContent.trim() : null
+  };
+}
+
+function extractTimestamp(root, excluded) {
+  const time = firstOutside(root, 'time[datetime]', excluded);
+  return time ? time.getAttribute('datetime') : null;
+}
+
+// Photos and video posters, skipping avatars, emoji and card favicons
+function extractMedia(root, excluded) {
+  const media = [];
+  for (const img of root.querySelectorAll('[data-testid="tweetPhoto"] img')) {
+    if (excluded && excluded.contains(img)) continue;
+    media.push({ type: 'photo', src: img.src, alt: img.alt || '' });
+  }
+  for (const video of root.querySelectorAll('video')) {
+    if (excluded && excluded.contains(video)) continue;
+    if (video.poster) media.push({ type: 'video', src: video.poster, alt: '' });
+  }
+  return media;
+}
+
+// Timeline replies carry a "Replying to @handle" line above the text
+function detectReply(article, excluded) {
+  for (const div of article.querySelectorAll('div')) {
+    if (excluded && excluded.contains(div)) continue;
+    const first = div.firstChild;
+    if (first && first.nodeType === Node.TEXT_NODE && first.nodeValue.trim() === 'Replying to') return true;
+  }
+  return false;
+}
+
+// Ads are wrapped in a placementTracking container and labelled "Ad" or "Promoted"
+function detectPromoted(article, excluded) {
+  if (article.closest('[data-testid="placementTracking"]') || article.querySelector('[data-testid="placementTracking"]')) {
+    return true;
+  }
+  for (const span of article.querySelectorAll('span')) {
+    if (excluded && excluded.contains(span)) continue;
+    const label = span.textContent.trim();
+    if ((label === 'Ad' || label === 'Promoted') && span.children.length === 0) return true;
+  }
+  return false;
+}
@@ -0,0 +1,108 @@
+// Post model for the content script.
+// Sites render the same post many times over (virtualized timelines,
+// re-renders on hover, navigation back to the feed), so the filter works on
+// TweetRecords keyed by a stable post ID rather than on raw DOM elements.
+// Despite the name, records hold posts from any site; the site adapter
+// (content/sites/) does the extraction.
+
+class TweetRecord {
+  constructor(fields) {
+    this.id = fields.id;
+    this.site = fields.site || null;
+    this.statusId = fields.statusId || null;
+    this.permalink = fields.permalink || null;
+    this.author = fields.author || null;
+    this.timestamp = fields.timestamp || null;
+    this.text = fields.text || '';
+    this.language = fields.language || null; // primary language subtag ("es"), when the site marks it
+    this.quoted = fields.quoted || null;
+    this.parent = fields.parent || null; // { author, text } of the post this replies to, when it's on the page
+    this.media = fields.media || [];
+    this.isReply = !!fields.isReply || !!this.parent;
+    this.isPromoted = !!fields.isPromoted;
+    this.isRepost = !!fields.isRepost;
+    this.repostedBy = fields.repostedBy || null; // who shared it into the feed, as the site words it
+    this.authorFollowed = false;
+    this.authorLists = []; // IDs of the user's author lists the author is on
+    this.authorPolicy = null; // allow or deny list that settles this post instead of the rules
+    this.element = fields.element || null;
+    this.verdict = null;
+    this.pending = false;
+    this.ruleIds = null; // rules in the latest request
+    this.requested = new Map(); // rule ID -> fingerprint, for the latest request
+    this.requestVersion = null; // filter-set version of the latest request
+    this.checkedRules = new Map(); // rule ID -> fingerprint the verdict covers
+    this.rechecking = false; // sent again after the rules changed
+    this.nearViewport = false; // within the prefetch distance of the viewport
+  }
+
+  // Build a record from a post element, or null if it has nothing to judge yet
+  static fromElement(element, adapter) {
+    const fields = adapter.extractPost(element);
+    if (!fields || (!fields.text && (!fields.media || fields.media.length === 0))) return null;
+
+    return new TweetRecord({
+      ...fields,
+      id: fields.statusId || `text:${fields.text}`,
+      site: adapter.id,
+      element: adapter.overlayAnchor(element)
+    });
+  }
+
+  // Shape sent to the background script (DOM elements can't cross the message boundary)
+  toMessage() {
+    return {
+      id: this.id,
+      site: this.site,
+      statusId: this.statusId,
+      permalink: this.permalink,
+      author: this.author,
+      timestamp: this.timestamp,
+      text: this.text,
+      language: this.language,
+      quoted: this.quoted,
+      parent: this.parent,
+      media: this.media,
+      isReply: this.isReply,
+      isPromoted: this.isPromoted,
+      isRepost: this.isRepost,
+      repostedBy: this.repostedBy,
+      authorFollowed: this.authorFollowed,
+      hasImages: this.media.length > 0 || !!(this.quoted && this.quoted.media.length > 0)
+    };
+  }
+}
+
+// The language the site tagged a post's text with, as a primary subtag.
+// Twitter marks text it couldn't place as "und", and hashtag-only,
+// media-only and similar posts with "zxx" or private-use codes (qaa–qtz).
+function extractLanguage(element) {
+  const tagged = element && (element.hasAttribute('lang') ? element : element.querySelector('[lang]'));
+  const primary = tagged && tagged.getAttribute('lang').trim().toLowerCase().split('-')[0];
+  if (!primary || primary === 'und' || primary === 'zxx' || /^q[a-t][a-z]$/.test(primary)) return null;
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+function firstOutside(root, selector, excluded) {
+  for (const el of root.querySelectorAll(selector)) {
+    if (!excluded || !excluded.contains(el)) return el;
+  }
+  return null;
+}
+
+// textContent drops emoji, which Twitter and Mastodon render as <img alt="😂">
+function extractText(element) {
+  if (!element) return '';
+
+  let text = '';
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) {
+      text += node.nodeValue;
+    } else if (node.tagName === 'IMG' && node.alt) {
+      text += node.alt;
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
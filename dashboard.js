@@ -0,0 +1,371 @@
+document.addEventListener('DOMContentLoaded', function() {
+    const summary = document.getElementById('summary');
+    const ruleStats = document.getElementById('ruleStats');
+    const methodStats = document.getElementById('methodStats');
+    const usageStats = document.getElementById('usageStats');
+    const ruleFilter = document.getElementById('ruleFilter');
+    const recentList = document.getElementById('recentList');
+    const showMoreButton = document.getElementById('showMore');
+    const retentionInput = document.getElementById('retentionInput');
+    const saveRetentionButton = document.getElementById('saveRetention');
+    const clearButton = document.getElementById('clearHistory');
+    const feedbackList = document.getElementById('feedbackList');
+    const status = document.getElementById('status');
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const CHART_DAYS = 14;
+    const PAGE_SIZE = 50;
+
+    let history = { verdicts: [], calls: [], rules: [], retentionDays: 30 };
+    let shown = PAGE_SIZE;
+
+    loadHistory();
+    loadFeedback();
+
+    ruleFilter.addEventListener('change', () => {
+      shown = PAGE_SIZE;
+      renderRecent();
+    });
+    showMoreButton.addEventListener('click', () => {
+      shown += PAGE_SIZE;
+      renderRecent();
+    });
+    saveRetentionButton.addEventListener('click', saveRetention);
+    clearButton.addEventListener('click', clearHistory);
+
+    async function loadHistory() {
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'getHistory' });
+        if (response.error) throw new Error(response.error);
+        history = response;
+        retentionInput.value = history.retentionDays;
+        render();
+      } catch (error) {
+        showStatus('Error loading history', 'error');
+        console.error(error);
+      }
+    }
+
+    function render() {
+      renderSummary();
+      renderRuleStats();
+      renderMethodStats();
+      renderUsage();
+      renderRuleFilter();
+      renderRecent();
+    }
+
+    function renderSummary() {
+      const checked = history.verdicts.length;
+      const filtered = history.verdicts.filter(entry => entry.filtered).length;
+      const inputTokens = sum(history.calls, call => call.inputTokens);
+      const outputTokens = sum(history.calls, call => call.outputTokens);
+      const estimated = history.calls.some(call => call.estimated);
+
+      summary.innerHTML = '';
+      [
+        [checked.toLocaleString(), `Posts checked (last ${history.retentionDays} days)`],
+        [checked ? `${Math.round(filtered / checked * 100)}%` : '–', `Hide rate (${filtered.toLocaleString()} filtered)`],
+        [history.calls.length.toLocaleString(), 'Model calls'],
+        [`${estimated ? '~' : ''}${(inputTokens + outputTokens).toLocaleString()}`, `Tokens (${inputTokens.toLocaleString()} in / ${outputTokens.toLocaleString()} out)`]
+      ].forEach(([value, label]) => {
+        const card = document.createElement('div');
+        card.className = 'summary-card';
+        card.append(textElement('div', 'summary-value', value), textElement('div', 'summary-label', label));
+        summary.appendChild(card);
+      });
+    }
+
+    // Rules that were deleted since still show up under their old description
+    function renderRuleStats() {
+      const byRule = groupBy(history.verdicts.filter(entry => entry.matched && entry.ruleId), entry => entry.ruleId);
+      const rows = [
+        ...history.rules.map(rule => ({ id: rule.id, description: rule.description })),
+        ...Object.keys(byRule)
+          .filter(id => !history.rules.some(rule => rule.id === id))
+          .map(id => ({ id, description: `${byRule[id][0].rule} (deleted)` }))
+      ];
+
+      ruleStats.innerHTML = '';
+      if (rows.length === 0) {
+        ruleStats.appendChild(emptyRow(5, 'No filters yet'));
+        return;
+      }
+
+      rows.forEach(({ id, description }) => {
+        const matches = byRule[id] || [];
+        const filtered = matches.filter(entry => entry.filtered);
+        const row = document.createElement('tr');
+        row.append(
+          textElement('td', '', description),
+          textElement('td', '', filtered.length.toLocaleString()),
+          // Matches the model made but wasn't confident enough about; lots of
+          // these suggest the threshold or the wording needs another look
+          textElement('td', '', (matches.length - filtered.length).toLocaleString()),
+          textElement('td', '', matches.length ? `${Math.round(sum(matches, entry => entry.confidence) / matches.length)}%` : '–'),
+          chartCell(dailyCounts(filtered))
+        );
+        ruleStats.appendChild(row);
+      });
+    }
+
+    function renderMethodStats() {
+      const byMethod = groupBy(history.verdicts, entry => entry.method || 'Unknown');
+
+      methodStats.innerHTML = '';
+      const methods = Object.keys(byMethod).sort((a, b) => byMethod[b].length - byMethod[a].length);
+      if (methods.length === 0) {
+        methodStats.appendChild(emptyRow(3, 'Nothing checked yet'));
+        return;
+      }
+      methods.forEach(method => {
+        const row = document.createElement('tr');
+        row.append(
+          textElement('td', '', method),
+          textElement('td', '', byMethod[method].length.toLocaleString()),
+          textElement('td', '', byMethod[method].filter(entry => entry.filtered).length.toLocaleString())
+        );
+        methodStats.appendChild(row);
+      });
+    }
+
+    function renderUsage() {
+      const byDay = groupBy(history.calls, call => new Date(call.at).toLocaleDateString());
+
+      usageStats.innerHTML = '';
+      const days = Object.keys(byDay).reverse();
+      if (days.length === 0) {
+        usageStats.appendChild(emptyRow(6, 'No model calls yet'));
+        return;
+      }
+      days.forEach(day => {
+        const calls = byDay[day];
+        const estimated = calls.some(call => call.estimated) ? '~' : '';
+        const row = document.createElement('tr');
+        row.append(
+          textElement('td', '', day),
+          textElement('td', '', calls.length.toLocaleString()),
+          textElement('td', '', calls.filter(call => call.error).length.toLocaleString()),
+          textElement('td', '', sum(calls, call => call.tweets).toLocaleString()),
+          textElement('td', '', `${estimated}${sum(calls, call => call.inputTokens).toLocaleString()}`),
+          textElement('td', '', sum(calls, call => call.outputTokens).toLocaleString())
+        );
+        usageStats.appendChild(row);
+      });
+    }
+
+    function renderRuleFilter() {
+      const selected = ruleFilter.value;
+      const rules = new Map(history.verdicts.filter(entry => entry.filtered).map(entry => [entry.ruleId, entry.rule]));
+      history.rules.forEach(rule => rules.set(rule.id, rule.description));
+
+      ruleFilter.innerHTML = '<option value="">All filters</option>';
+      rules.forEach((description, id) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = description;
+        ruleFilter.appendChild(option);
+      });
+      ruleFilter.value = rules.has(selected) ? selected : '';
+    }
+
+    function renderRecent() {
+      const entries = history.verdicts
+        .filter(entry => entry.filtered && (!ruleFilter.value || entry.ruleId === ruleFilter.value))
+        .reverse();
+
+      recentList.innerHTML = '';
+      if (entries.length === 0) {
+        recentList.appendChild(textElement('div', 'empty', 'Nothing filtered yet'));
+      }
+      entries.slice(0, shown).forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+          new Date(entry.at).toLocaleString(),
+          entry.author ? `@${entry.author}` : null,
+          entry.site,
+          `"${entry.rule}"`,
+          `${entry.confidence}%`,
+          entry.method
+        ].filter(Boolean).join(' · ');
+        if (entry.permalink) {
+          const link = document.createElement('a');
+          link.href = entry.permalink;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          link.textContent = 'Open post';
+          meta.append(' · ', link);
+        }
+
+        item.append(textElement('div', '', entry.text || '(no text)'), meta);
+        recentList.appendChild(item);
+      });
+      showMoreButton.style.display = entries.length > shown ? 'inline-block' : 'none';
+    }
+
+    async function loadFeedback() {
+      try {
+        const { entries, rules, error } = await chrome.runtime.sendMessage({ action: 'listFeedback' });
+        if (error) throw new Error(error);
+        renderFeedback(entries, rules);
+      } catch (error) {
+        showStatus('Error loading corrections', 'error');
+        console.error(error);
+      }
+    }
+
+    function renderFeedback(entries, rules) {
+      feedbackList.innerHTML = '';
+      if (entries.length === 0) {
+        feedbackList.appendChild(textElement('div', 'empty', 'No corrections yet. Use "Wrongly filtered" on a filtered post, or right-click a post and choose "Should have been filtered by".'));
+        return;
+      }
+
+      const byRule = groupBy(entries, entry => entry.ruleId);
+      Object.keys(byRule).forEach(ruleId => {
+        const rule = rules.find(candidate => candidate.id === ruleId);
+        feedbackList.appendChild(textElement('div', 'feedback-rule', rule ? rule.description : 'Deleted filter'));
+
+        byRule[ruleId].slice().reverse().forEach(entry => {
+          const item = document.createElement('div');
+          item.className = 'history-item feedback-item';
+
+          const body = document.createElement('div');
+          body.className = 'history-body';
+          const meta = document.createElement('div');
+          meta.className = 'history-meta';
+          meta.textContent = [
+            entry.kind === 'missed' ? 'Should have been filtered' : 'Wrongly filtered',
+            new Date(entry.at).toLocaleString(),
+            entry.author ? `@${entry.author}` : null
+          ].filter(Boolean).join(' · ');
+          if (entry.permalink) {
+            const link = document.createElement('a');
+            link.href = entry.permalink;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = 'Open post';
+            meta.append(' · ', link);
+          }
+          body.append(textElement('div', '', entry.text || '(no text)'), meta);
+
+          const removeButton = textElement('button', 'icon-btn', '✕');
+          removeButton.title = 'Remove correction';
+          removeButton.setAttribute('aria-label', 'Remove correction');
+          removeButton.addEventListener('click', async () => {
+            try {
+              const result = await chrome.runtime.sendMessage({ action: 'removeFeedback', id: entry.id });
+              if (!result.success) throw new Error(result.error);
+              loadFeedback();
+            } catch (error) {
+              showStatus('Error removing correction', 'error');
+              console.error(error);
+            }
+          });
+
+          item.append(body, removeButton);
+          feedbackList.appendChild(item);
+        });
+      });
+    }
+
+    async function saveRetention() {
+      try {
+        const result = await chrome.runtime.sendMessage({
+          action: 'setHistoryRetention',
+          days: Number(retentionInput.value)
+        });
+        if (result.error) throw new Error(result.error);
+        retentionInput.value = result.retentionDays;
+        showStatus(`History is kept for ${result.retentionDays} days`, 'success');
+        loadHistory();
+      } catch (error) {
+        showStatus('Error saving retention', 'error');
+        console.error(error);
+      }
+    }
+
+    async function clearHistory() {
+      if (!confirm('Delete all recorded verdicts and usage?')) return;
+
+      try {
+        const result = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+        if (!result.success) throw new Error(result.error);
+        showStatus('History cleared', 'success');
+        loadHistory();
+      } catch (error) {
+        showStatus('Error clearing history', 'error');
+        console.error(error);
+      }
+    }
+
+    // Counts per day for the last CHART_DAYS days, oldest first
+    function dailyCounts(entries) {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const start = today.getTime() - (CHART_DAYS - 1) * DAY_MS;
+      const counts = new Array(CHART_DAYS).fill(0);
+      entries.forEach(entry => {
+        const day = Math.floor((entry.at - start) / DAY_MS);
+        if (day >= 0 && day < CHART_DAYS) counts[day]++;
+      });
+      return counts;
+    }
+
+    function chartCell(counts) {
+      const cell = document.createElement('td');
+      const bars = document.createElement('div');
+      bars.className = 'bars';
+      const max = Math.max(1, ...counts);
+      counts.forEach((count, index) => {
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.height = `${Math.round(count / max * 100)}%`;
+        bar.title = `${count} on ${new Date(Date.now() - (CHART_DAYS - 1 - index) * DAY_MS).toLocaleDateString()}`;
+        bars.appendChild(bar);
+      });
+      cell.appendChild(bars);
+      return cell;
+    }
+
+    function emptyRow(columns, message) {
+      const row = document.createElement('tr');
+      const cell = textElement('td', 'empty', message);
+      cell.colSpan = columns;
+      row.appendChild(cell);
+      return row;
+    }
+
+    function textElement(tag, className, text) {
+      const element = document.createElement(tag);
+      if (className) element.className = className;
+      element.textContent = text;
+      return element;
+    }
+
+    function groupBy(items, keyOf) {
+      const groups = {};
+      items.forEach(item => {
+        const key = keyOf(item);
+        (groups[key] = groups[key] || []).push(item);
+      });
+      return groups;
+    }
+
+    function sum(items, valueOf) {
+      return items.reduce((total, item) => total + (valueOf(item) || 0), 0);
+    }
+
+    function showStatus(message, type) {
+      status.textContent = message;
+      status.className = `status ${type}`;
+      status.style.display = 'block';
+      setTimeout(() => {
+        status.style.display = 'none';
+      }, 3000);
+    }
+  });
@@ -0,0 +1,166 @@
+document.addEventListener('DOMContentLoaded', function() {
+    const providerSelect = document.getElementById('providerSelect');
+    const modelInput = document.getElementById('modelInput');
+    const modelOptions = document.getElementById('modelOptions');
+    const modelHint = document.getElementById('modelHint');
+    const apiKeyField = document.getElementById('apiKeyField');
+    const apiKeyInput = document.getElementById('apiKeyInput');
+    const baseUrlInput = document.getElementById('baseUrlInput');
+    const visionSelect = document.getElementById('visionSelect');
+    const streamSelect = document.getElementById('streamSelect');
+    const embeddingsSelect = document.getElementById('embeddingsSelect');
+    const embeddingModelInput = document.getElementById('embeddingModelInput');
+    const minSimilarityInput = document.getElementById('minSimilarityInput');
+    const saveButton = document.getElementById('saveSettings');
+    const refreshButton = document.getElementById('refreshModels');
+    const status = document.getElementById('status');
+
+    let providers = {};
+    let settings = { provider: null, models: {}, apiKeys: {}, baseUrls: {} };
+
+    loadSettings();
+
+    providerSelect.addEventListener('change', () => {
+      // Keep what was typed for the previous provider so switching back doesn't lose it
+      stashFields(settings.provider);
+      settings.provider = providerSelect.value;
+      renderFields();
+    });
+    saveButton.addEventListener('click', saveSettings);
+    refreshButton.addEventListener('click', loadModels);
+
+    async function loadSettings() {
+      try {
+        providers = await chrome.runtime.sendMessage({ action: 'getProviders' });
+        const result = await chrome.storage.local.get(['providerSettings']);
+        settings = {
+          models: {},
+          apiKeys: {},
+          baseUrls: {},
+          ...result.providerSettings
+        };
+        if (!providers[settings.provider]) {
+          settings.provider = Object.keys(providers)[0];
+        }
+
+        providerSelect.innerHTML = '';
+        Object.entries(providers).forEach(([id, provider]) => {
+          const option = document.createElement('option');
+          option.value = id;
+          option.textContent = provider.label;
+          providerSelect.appendChild(option);
+        });
+        providerSelect.value = settings.provider;
+        visionSelect.value = settings.vision || 'auto';
+        streamSelect.value = settings.stream === false ? 'off' : 'on';
+        const prefilter = settings.prefilter || {};
+        embeddingsSelect.value = prefilter.embeddings ? 'on' : 'off';
+        embeddingModelInput.value = prefilter.embeddingModel || '';
+        minSimilarityInput.value = prefilter.minSimilarity ?? '';
+        renderFields();
+      } catch (error) {
+        showStatus('Error loading settings', 'error');
+        console.error(error);
+      }
+    }
+
+    function renderFields() {
+      const id = settings.provider;
+      const provider = providers[id];
+
+      modelInput.value = settings.models[id] || '';
+      modelInput.placeholder = provider.defaultModel;
+      modelHint.textContent = `Leave empty to use ${provider.defaultModel}.`;
+      apiKeyInput.value = settings.apiKeys[id] || '';
+      apiKeyField.style.display = provider.requiresKey ? 'block' : 'none';
+      baseUrlInput.value = settings.baseUrls[id] || '';
+      baseUrlInput.placeholder = provider.defaultBaseUrl;
+      modelOptions.innerHTML = '';
+    }
+
+    function stashFields(id) {
+      if (!id) return;
+      settings.models[id] = modelInput.value.trim();
+      settings.apiKeys[id] = apiKeyInput.value.trim();
+      settings.baseUrls[id] = baseUrlInput.value.trim();
+    }
+
+    async function saveSettings() {
+      stashFields(settings.provider);
+      settings.vision = visionSelect.value;
+      settings.stream = streamSelect.value === 'on';
+      // Empty fields fall back to the background worker's defaults
+      const minSimilarity = parseFloat(minSimilarityInput.value);
+      settings.prefilter = {
+        embeddings: embeddingsSelect.value === 'on',
+        ...(embeddingModelInput.value.trim() ? { embeddingModel: embeddingModelInput.value.trim() } : {}),
+        ...(Number.isFinite(minSimilarity) ? { minSimilarity: Math.min(1, Math.max(0, minSimilarity)) } : {})
+      };
+
+      try {
+        // Endpoints the manifest doesn't list need the user's permission, asked
+        // for while the click still counts as a user gesture. Embeddings go to
+        // the Ollama endpoint whichever provider is picked.
+        const endpoints = [settings.baseUrls[settings.provider]];
+        if (settings.prefilter.embeddings) endpoints.push(settings.baseUrls.ollama);
+        const origins = [];
+        for (const endpoint of endpoints.filter(Boolean)) {
+          try {
+            origins.push(`${new URL(endpoint).origin}/*`);
+          } catch (error) {
+            showStatus(`Not saved: ${endpoint} isn't a full URL, such as https://example.com/v1`, 'error');
+            return;
+          }
+        }
+        if (origins.length > 0 && !(await chrome.permissions.request({ origins }))) {
+          showStatus('Not saved: the extension needs access to the endpoint to use it', 'error');
+          return;
+        }
+
+        await chrome.storage.local.set({ providerSettings: settings });
+        showStatus('Settings saved, testing connection...', 'success');
+
+        const result = await chrome.runtime.sendMessage({ action: 'checkAPI' });
+        if (result.available) {
+          showStatus(`Connected to ${result.model}`, 'success');
+        } else {
+          showStatus(result.error, 'error');
+        }
+      } catch (error) {
+        showStatus('Error saving settings', 'error');
+        console.error(error);
+      }
+    }
+
+    async function loadModels() {
+      stashFields(settings.provider);
+
+      try {
+        const result = await chrome.runtime.sendMessage({ action: 'listModels', settings });
+        if (result.error) {
+          showStatus(`Could not load models: ${result.error}`, 'error');
+          return;
+        }
+
+        modelOptions.innerHTML = '';
+        result.models.forEach(model => {
+          const option = document.createElement('option');
+          option.value = model;
+          modelOptions.appendChild(option);
+        });
+        showStatus(`${result.models.length} models available`, 'success');
+      } catch (error) {
+        showStatus('Error loading models', 'error');
+        console.error(error);
+      }
+    }
+
+    function showStatus(message, type) {
+      status.textContent = message;
+      status.className = `status ${type}`;
+      status.style.display = 'block';
+      setTimeout(() => {
+        status.style.display = 'none';
+      }, 3000);
+    }
+  });
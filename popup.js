@@ -4,19 +4,99 @@ document.addEventListener('DOMContentLoaded', function() {
     const clearButton = document.getElementById('clearFilters');
     const status = document.getElementById('status');
     const filterList = document.getElementById('filterList');
+    const ruleMatch = document.getElementById('ruleMatch');
+    const ruleAction = document.getElementById('ruleAction');
+    const ruleScope = document.getElementById('ruleScope');
+    const ruleThreshold = document.getElementById('ruleThreshold');
+    const ruleSchedule = document.getElementById('ruleSchedule');
+    const ruleLanguages = document.getElementById('ruleLanguages');
+    const ruleList = document.getElementById('ruleList');
+    const ruleListOption = document.getElementById('ruleListOption');
+    const authorListList = document.getElementById('authorListList');
+    const listName = document.getElementById('listName');
+    const listPolicy = document.getElementById('listPolicy');
+    const listHandles = document.getElementById('listHandles');
+    const addListButton = document.getElementById('addList');
+    const focusMode = document.getElementById('focusMode');
+    const focusText = focusMode.querySelector('.focus-text');
+    const focusDuration = document.getElementById('focusDuration');
+    const focusToggle = document.getElementById('focusToggle');
     const aiStatus = document.getElementById('aiStatus');
+    const pendingReviewToggle = document.getElementById('pendingReview');
+    const failModeSelect = document.getElementById('failMode');
+    const prefetchSelect = document.getElementById('prefetchScreens');
+    const dashboardLink = document.getElementById('openDashboard');
+    const exportConfigButton = document.getElementById('exportConfig');
+    const exportPackButton = document.getElementById('exportPack');
+    const importConflict = document.getElementById('importConflict');
+    const importReplace = document.getElementById('importReplace');
+    const importText = document.getElementById('importText');
+    const importPastedButton = document.getElementById('importPasted');
+    const importFileButton = document.getElementById('importFile');
+    const importFileInput = document.getElementById('importFileInput');
+  
+    fillSelect(ruleMatch, RULE_MATCHERS, DEFAULT_RULE.match);
+    fillSelect(ruleAction, RULE_ACTIONS, DEFAULT_RULE.action);
+    fillSelect(ruleScope, RULE_SCOPES, DEFAULT_RULE.scope);
+    ruleThreshold.value = DEFAULT_RULE.threshold;
+    fillSelect(ruleSchedule, RULE_SCHEDULES, DEFAULT_RULE.schedule);
+    fillSelect(importConflict, IMPORT_CONFLICTS, 'keepMine');
+    fillSelect(listPolicy, AUTHOR_LIST_POLICIES, 'allow');
+  
+    // Focus state is needed to show which filters are active right now
+    let focusUntil = 0;
+    // Author lists, for the "outside a list" scope and the Account Lists section
+    let authorLists = [];
   
     // Load existing filters and check AI status
-    loadFilters();
+    Promise.all([loadFocusMode(), loadLists()]).then(loadFilters);
+    loadPreferences();
     checkAIStatus();
   
+    ruleMatch.addEventListener('change', () => {
+      filterInput.placeholder = MATCH_PLACEHOLDERS[ruleMatch.value];
+    });
+    ruleScope.addEventListener('change', () => {
+      ruleListOption.hidden = ruleScope.value !== 'outsideList';
+    });
     saveButton.addEventListener('click', saveFilter);
+    addListButton.addEventListener('click', addList);
+    focusToggle.addEventListener('click', toggleFocusMode);
     clearButton.addEventListener('click', clearAllFilters);
+    pendingReviewToggle.addEventListener('change', savePreferences);
+    failModeSelect.addEventListener('change', savePreferences);
+    prefetchSelect.addEventListener('change', savePreferences);
+    dashboardLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    });
+    exportConfigButton.addEventListener('click', exportConfig);
+    exportPackButton.addEventListener('click', exportPack);
+    importPastedButton.addEventListener('click', async () => {
+      if (!importText.value.trim()) {
+        showStatus('Paste an export or filter pack first', 'error');
+        return;
+      }
+      if (await importConfig(importText.value)) {
+        importText.value = '';
+      }
+    });
+    importFileButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', async () => {
+      const [file] = importFileInput.files;
+      importFileInput.value = '';
+      if (!file) return;
+      if (file.size > IMPORT_MAX_FILE_SIZE) {
+        showStatus('That file is too large to be a filter export', 'error');
+        return;
+      }
+      await importConfig(await file.text());
+    });
   
     async function checkAIStatus() {
       try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab && (tab.url.includes('twitter.com') || tab.url.includes('x.com'))) {
+        if (tab && siteForUrl(tab.url)) {
           // Send message to content script and wait for response
           chrome.tabs.sendMessage(tab.id, { action: 'getAIStatus' }, (response) => {
             if (chrome.runtime.lastError) {
@@ -35,11 +115,12 @@ document.addEventListener('DOMContentLoaded', function() {
             } else {
               aiStatus.className = 'ai-status unavailable';
               aiStatus.querySelector('.status-text').textContent = '❌ API Key Required';
+              showSettingsLink();
             }
           });
         } else {
           aiStatus.className = 'ai-status unavailable';
-          aiStatus.querySelector('.status-text').textContent = '💡 Visit Twitter/X to activate';
+          aiStatus.querySelector('.status-text').textContent = `💡 Visit ${SITES.map(site => site.label).join(', ')} to activate`;
         }
       } catch (error) {
         console.error('Error checking AI status:', error);
@@ -48,29 +129,63 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     }
   
+    function showSettingsLink() {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'settings-link';
+      link.textContent = 'Open settings';
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+      });
+      aiStatus.appendChild(link);
+    }
+  
+    // What the description box should hold for each kind of rule
+    const MATCH_PLACEHOLDERS = {
+      model: filterInput.placeholder,
+      keyword: 'e.g., bitcoin, crypto, nft (comma separated)',
+      regex: 'e.g., \\b(giveaway|airdrop)\\b or /pattern/i',
+      author: 'e.g., @someaccount, @anotheraccount'
+    };
+  
+    function fillSelect(select, options, selected) {
+      Object.entries(options).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = selected;
+    }
+  
     async function saveFilter() {
       const filterText = filterInput.value.trim();
       if (!filterText) {
         showStatus('Please enter a filter description', 'error');
         return;
       }
+      if (ruleScope.value === 'outsideList' && !ruleList.value) {
+        showStatus('Add an account list first', 'error');
+        return;
+      }
   
       try {
-        const result = await chrome.storage.sync.get(['filters']);
-        const filters = result.filters || [];
+        const filters = await loadRules();
         
-        if (!filters.includes(filterText)) {
-          filters.push(filterText);
-          await chrome.storage.sync.set({ filters });
+        if (!filters.some(rule => rule.description.toLowerCase() === filterText.toLowerCase())) {
+          filters.push(createRule(filterText, {
+            match: ruleMatch.value,
+            action: ruleAction.value,
+            scope: ruleScope.value,
+            threshold: ruleThreshold.value,
+            schedule: ruleSchedule.value,
+            listId: ruleList.value,
+            languages: ruleLanguages.value
+          }));
+          await saveRules(filters);
           filterInput.value = '';
           showStatus('Filter added successfully!', 'success');
-          loadFilters();
-          
-          // Notify content script to update filters
-          const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-          if (tab && (tab.url.includes('twitter.com') || tab.url.includes('x.com'))) {
-            chrome.tabs.sendMessage(tab.id, { action: 'updateFilters', filters });
-          }
         } else {
           showStatus('Filter already exists', 'error');
         }
@@ -82,35 +197,55 @@ document.addEventListener('DOMContentLoaded', function() {
   
     async function clearAllFilters() {
       try {
-        await chrome.storage.sync.set({ filters: [] });
+        await saveRules([]);
         showStatus('All filters cleared', 'success');
-        loadFilters();
-        
-        // Notify content script
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab && (tab.url.includes('twitter.com') || tab.url.includes('x.com'))) {
-          chrome.tabs.sendMessage(tab.id, { action: 'updateFilters', filters: [] });
-        }
       } catch (error) {
         showStatus('Error clearing filters', 'error');
         console.error(error);
       }
     }
   
+    // Store the rules, redraw the list and push them to every open tab on a supported site
+    async function saveRules(filters) {
+      await chrome.storage.sync.set({ filters });
+      loadFilters();
+      await sendRulesToTabs(filters);
+    }
+  
+    async function sendRulesToTabs(filters) {
+      const tabs = await chrome.tabs.query({ url: siteMatchPatterns() });
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { action: 'updateFilters', filters }).catch(() => {
+          // Content script not loaded in this tab (e.g. opened before install)
+        });
+      });
+    }
+  
+    // Apply a change to one rule and save
+    async function updateRule(ruleId, change) {
+      try {
+        const filters = await loadRules();
+        const index = filters.findIndex(rule => rule.id === ruleId);
+        if (index === -1) return;
+        
+        const updated = change(filters, index);
+        await saveRules(updated || filters);
+      } catch (error) {
+        showStatus('Error updating filter', 'error');
+        console.error(error);
+      }
+    }
+  
     async function loadFilters() {
       try {
-        const result = await chrome.storage.sync.get(['filters']);
-        const filters = result.filters || [];
+        const filters = await loadRules();
         
         filterList.innerHTML = '';
         if (filters.length === 0) {
           filterList.innerHTML = '<div style="color: #657786; font-style: italic;">No filters active</div>';
         } else {
-          filters.forEach(filter => {
-            const filterDiv = document.createElement('div');
-            filterDiv.className = 'filter-item';
-            filterDiv.textContent = filter;
-            filterList.appendChild(filterDiv);
+          filters.forEach(rule => {
+            filterList.appendChild(renderRule(rule));
           });
         }
       } catch (error) {
@@ -118,6 +253,538 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     }
   
+    function renderRule(rule) {
+      const filterDiv = document.createElement('div');
+      filterDiv.className = `filter-item${rule.enabled ? '' : ' disabled'}`;
+      filterDiv.draggable = true;
+      filterDiv.dataset.ruleId = rule.id;
+      
+      const handle = document.createElement('span');
+      handle.className = 'drag-handle';
+      handle.textContent = '⋮⋮';
+      handle.title = 'Drag to reorder';
+      
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = rule.enabled ? 'Disable filter' : 'Enable filter';
+      toggle.addEventListener('change', () => {
+        updateRule(rule.id, (filters, index) => {
+          filters[index].enabled = toggle.checked;
+        });
+      });
+      
+      const body = document.createElement('div');
+      body.className = 'filter-body';
+      const description = document.createElement('div');
+      description.textContent = rule.description;
+      const meta = document.createElement('div');
+      meta.className = 'filter-meta';
+      meta.textContent = rule.match === 'model'
+        ? `${RULE_ACTIONS[rule.action]} · ${scopeLabel(rule)} · ≥${rule.threshold}% confidence`
+        : `${RULE_MATCHERS[rule.match]} · ${RULE_ACTIONS[rule.action]} · ${scopeLabel(rule)}`;
+      if (rule.schedule !== 'always') {
+        const inactive = rule.enabled && !ruleIsActive(rule, { focus: focusUntil > Date.now() });
+        meta.textContent += ` · ${RULE_SCHEDULES[rule.schedule]}${inactive ? ' (not now)' : ''}`;
+      }
+      if (rule.languages) {
+        meta.textContent += ` · Only ${rule.languages.join(', ')}`;
+      }
+      body.append(description, meta);
+      
+      const editButton = createIconButton('✏️', 'Edit filter', () => {
+        filterDiv.replaceWith(renderRuleEditor(rule));
+      });
+      const deleteButton = createIconButton('✕', 'Delete filter', () => {
+        updateRule(rule.id, (filters, index) => {
+          filters.splice(index, 1);
+        });
+      });
+      
+      filterDiv.append(handle, toggle, body, editButton, deleteButton);
+      addDragHandlers(filterDiv);
+      return filterDiv;
+    }
+  
+    function scopeLabel(rule) {
+      if (rule.scope !== 'outsideList') return RULE_SCOPES[rule.scope];
+      const list = authorLists.find(candidate => candidate.id === rule.listId);
+      return list ? `Outside "${list.name}"` : 'All posts (its list was deleted)';
+    }
+  
+    function fillListSelect(select, selected) {
+      select.innerHTML = '';
+      fillSelect(select, Object.fromEntries(authorLists.map(list => [list.id, list.name])), selected || (authorLists[0] && authorLists[0].id) || '');
+    }
+  
+    function renderRuleEditor(rule) {
+      const editor = document.createElement('div');
+      editor.className = 'filter-item editing';
+      
+      const description = document.createElement('textarea');
+      description.value = rule.description;
+      
+      const options = document.createElement('div');
+      options.className = 'rule-options';
+      const match = document.createElement('select');
+      fillSelect(match, RULE_MATCHERS, rule.match);
+      const action = document.createElement('select');
+      fillSelect(action, RULE_ACTIONS, rule.action);
+      const scope = document.createElement('select');
+      fillSelect(scope, RULE_SCOPES, rule.scope);
+      const schedule = document.createElement('select');
+      fillSelect(schedule, RULE_SCHEDULES, rule.schedule);
+      const list = document.createElement('select');
+      fillListSelect(list, rule.listId);
+      list.setAttribute('aria-label', 'Account list');
+      const threshold = document.createElement('input');
+      threshold.type = 'number';
+      threshold.min = 0;
+      threshold.max = 100;
+      threshold.step = 5;
+      threshold.value = rule.threshold;
+      const languages = document.createElement('input');
+      languages.type = 'text';
+      languages.placeholder = 'All languages';
+      languages.value = (rule.languages || []).join(', ');
+      languages.setAttribute('aria-label', 'Languages');
+      [match, action, scope, threshold, schedule, languages, list].forEach(control => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'rule-option';
+        wrapper.appendChild(control);
+        options.appendChild(wrapper);
+      });
+      const showList = () => {
+        list.parentElement.hidden = scope.value !== 'outsideList';
+      };
+      scope.addEventListener('change', showList);
+      showList();
+      
+      const buttons = document.createElement('div');
+      buttons.className = 'button-group';
+      const saveEdit = document.createElement('button');
+      saveEdit.className = 'primary-btn';
+      saveEdit.textContent = 'Save';
+      saveEdit.addEventListener('click', async () => {
+        const text = description.value.trim();
+        if (!text) {
+          showStatus('Please enter a filter description', 'error');
+          return;
+        }
+        if (scope.value === 'outsideList' && !list.value) {
+          showStatus('Add an account list first', 'error');
+          return;
+        }
+        await updateRule(rule.id, (filters, index) => {
+          filters[index] = normalizeRule({
+            ...filters[index],
+            description: text,
+            match: match.value,
+            action: action.value,
+            scope: scope.value,
+            threshold: threshold.value,
+            schedule: schedule.value,
+            listId: list.value,
+            languages: languages.value
+          });
+        });
+        showStatus('Filter updated', 'success');
+      });
+      const cancelEdit = document.createElement('button');
+      cancelEdit.className = 'secondary-btn';
+      cancelEdit.textContent = 'Cancel';
+      cancelEdit.addEventListener('click', () => {
+        editor.replaceWith(renderRule(rule));
+      });
+      buttons.append(saveEdit, cancelEdit);
+      
+      editor.append(description, options, buttons);
+      return editor;
+    }
+  
+    function createIconButton(label, title, onClick) {
+      const button = document.createElement('button');
+      button.className = 'icon-btn';
+      button.textContent = label;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.addEventListener('click', onClick);
+      return button;
+    }
+  
+    // Drag a rule onto another to move it to that position
+    function addDragHandlers(filterDiv) {
+      filterDiv.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', filterDiv.dataset.ruleId);
+        event.dataTransfer.effectAllowed = 'move';
+        filterDiv.classList.add('dragging');
+      });
+      filterDiv.addEventListener('dragend', () => {
+        filterDiv.classList.remove('dragging');
+      });
+      filterDiv.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        filterDiv.classList.add('drop-target');
+      });
+      filterDiv.addEventListener('dragleave', () => {
+        filterDiv.classList.remove('drop-target');
+      });
+      filterDiv.addEventListener('drop', (event) => {
+        event.preventDefault();
+        filterDiv.classList.remove('drop-target');
+        const draggedId = event.dataTransfer.getData('text/plain');
+        const targetId = filterDiv.dataset.ruleId;
+        if (!draggedId || draggedId === targetId) return;
+        
+        // The dragged rule takes the target's place: above it when moving up,
+        // below it when moving down
+        updateRule(draggedId, (filters, index) => {
+          const targetIndex = filters.findIndex(rule => rule.id === targetId);
+          if (targetIndex === -1) return;
+          const [moved] = filters.splice(index, 1);
+          filters.splice(targetIndex, 0, moved);
+        });
+      });
+    }
+  
+    async function loadLists() {
+      try {
+        authorLists = await loadAuthorLists();
+        fillListSelect(ruleList, ruleList.value);
+  
+        authorListList.innerHTML = '';
+        authorLists.forEach(list => {
+          authorListList.appendChild(renderAuthorList(list));
+        });
+      } catch (error) {
+        console.error('Error loading account lists:', error);
+      }
+    }
+  
+    // Content scripts pick these up through chrome.storage.onChanged. Lists
+    // share the 8 KB sync item limit, so they're measured before saving.
+    async function saveAuthorLists(lists) {
+      checkAuthorListsSize(lists);
+      await chrome.storage.sync.set({ authorLists: lists });
+      await loadLists();
+      loadFilters();
+    }
+  
+    async function addList() {
+      const name = listName.value.trim();
+      if (!name) {
+        showStatus('Please enter a list name', 'error');
+        return;
+      }
+      if (authorLists.some(list => list.name.toLowerCase() === name.toLowerCase())) {
+        showStatus('A list with that name already exists', 'error');
+        return;
+      }
+      const handles = parseListHandles(listHandles.value);
+      if (handles.length > MAX_LIST_HANDLES) {
+        showStatus(`A list can hold at most ${MAX_LIST_HANDLES} accounts`, 'error');
+        return;
+      }
+  
+      try {
+        await saveAuthorLists([...authorLists, normalizeAuthorList({ name, policy: listPolicy.value, handles })]);
+        listName.value = '';
+        listHandles.value = '';
+        showStatus('List added', 'success');
+      } catch (error) {
+        showStatus(`Error saving list: ${error.message}`, 'error');
+        console.error(error);
+      }
+    }
+  
+    // Resolves to whether the change was saved
+    async function updateList(listId, change) {
+      try {
+        const lists = authorLists.map(list => ({ ...list }));
+        const index = lists.findIndex(list => list.id === listId);
+        if (index === -1) return false;
+  
+        change(lists, index);
+        await saveAuthorLists(lists);
+        return true;
+      } catch (error) {
+        showStatus(`Error saving list: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+      }
+    }
+  
+    function renderAuthorList(list) {
+      const item = document.createElement('div');
+      item.className = 'filter-item';
+  
+      const body = document.createElement('div');
+      body.className = 'filter-body';
+      const name = document.createElement('div');
+      name.textContent = list.name;
+      const meta = document.createElement('div');
+      meta.className = 'filter-meta';
+      meta.textContent = `${AUTHOR_LIST_POLICIES[list.policy]} · ${list.handles.length} account${list.handles.length === 1 ? '' : 's'}`;
+      body.append(name, meta);
+  
+      const editButton = createIconButton('✏️', 'Edit list', () => {
+        item.replaceWith(renderAuthorListEditor(list));
+      });
+      const deleteButton = createIconButton('✕', 'Delete list', () => {
+        updateList(list.id, (lists, index) => {
+          lists.splice(index, 1);
+        });
+      });
+  
+      item.append(body, editButton, deleteButton);
+      return item;
+    }
+  
+    function renderAuthorListEditor(list) {
+      const editor = document.createElement('div');
+      editor.className = 'filter-item editing';
+  
+      const options = document.createElement('div');
+      options.className = 'rule-options';
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = list.name;
+      name.setAttribute('aria-label', 'List name');
+      const policy = document.createElement('select');
+      fillSelect(policy, AUTHOR_LIST_POLICIES, list.policy);
+      policy.setAttribute('aria-label', 'Posts by these accounts');
+      [name, policy].forEach(control => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'rule-option';
+        wrapper.appendChild(control);
+        options.appendChild(wrapper);
+      });
+  
+      const handles = document.createElement('textarea');
+      handles.value = list.handles.map(handle => `@${handle}`).join('\n');
+      handles.setAttribute('aria-label', 'Accounts');
+  
+      const buttons = document.createElement('div');
+      buttons.className = 'button-group';
+      const saveEdit = document.createElement('button');
+      saveEdit.className = 'primary-btn';
+      saveEdit.textContent = 'Save';
+      saveEdit.addEventListener('click', async () => {
+        const text = name.value.trim();
+        const parsed = parseListHandles(handles.value);
+        if (!text) {
+          showStatus('Please enter a list name', 'error');
+          return;
+        }
+        if (parsed.length > MAX_LIST_HANDLES) {
+          showStatus(`A list can hold at most ${MAX_LIST_HANDLES} accounts`, 'error');
+          return;
+        }
+        const saved = await updateList(list.id, (lists, index) => {
+          lists[index] = normalizeAuthorList({ ...lists[index], name: text, policy: policy.value, handles: parsed });
+        });
+        if (saved) showStatus('List updated', 'success');
+      });
+      const cancelEdit = document.createElement('button');
+      cancelEdit.className = 'secondary-btn';
+      cancelEdit.textContent = 'Cancel';
+      cancelEdit.addEventListener('click', () => {
+        editor.replaceWith(renderAuthorList(list));
+      });
+      buttons.append(saveEdit, cancelEdit);
+  
+      editor.append(options, handles, buttons);
+      return editor;
+    }
+  
+    const IMPORT_MAX_FILE_SIZE = 1024 * 1024;
+  
+    // Everything needed to recreate this setup elsewhere, except API keys
+    async function exportConfig() {
+      try {
+        const [rules, result, lists, feedback] = await Promise.all([
+          loadRules(),
+          chrome.storage.sync.get(['preferences']),
+          loadAuthorLists(),
+          chrome.runtime.sendMessage({ action: 'listFeedback' })
+        ]);
+        if (feedback && feedback.error) throw new Error(feedback.error);
+        downloadJson(buildConfigExport({
+          rules,
+          preferences: result.preferences,
+          authorLists: lists,
+          corrections: feedback && feedback.entries
+        }), 'smart-social-filter');
+        showStatus('Configuration exported', 'success');
+      } catch (error) {
+        showStatus('Error exporting configuration', 'error');
+        console.error(error);
+      }
+    }
+  
+    async function exportPack() {
+      try {
+        const rules = await loadRules();
+        if (rules.length === 0) {
+          showStatus('No filters to export', 'error');
+          return;
+        }
+        downloadJson(buildPackExport(rules), 'smart-social-filter-pack');
+        showStatus('Filter pack exported', 'success');
+      } catch (error) {
+        showStatus('Error exporting filter pack', 'error');
+        console.error(error);
+      }
+    }
+  
+    function downloadJson(data, baseName) {
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${baseName}-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  
+    // Validate an export or pack, then merge it into (or replace) the current setup
+    async function importConfig(text) {
+      let data;
+      try {
+        data = parseConfigImport(text);
+      } catch (error) {
+        showStatus(`Import failed: ${error.message}`, 'error');
+        return false;
+      }
+  
+      const replace = importReplace.checked;
+      const conflict = importConflict.value;
+      if (replace && !confirm(`Replace all your filters${data.type === 'config' ? ', preferences, account lists and corrections' : ''} with the imported ones?`)) {
+        return false;
+      }
+  
+      try {
+        // Everything is merged and checked before anything is saved, then the
+        // lists, rules and preferences go in one write so a failed import
+        // leaves the current setup as it was. Lists are merged first so rules
+        // scoped to an imported list point at where it ended up.
+        const changes = {};
+        let rules = data.rules;
+        let listsAdded = 0;
+        if (data.type === 'config') {
+          const lists = mergeImportedAuthorLists(replace ? [] : await loadAuthorLists(), data.authorLists, conflict);
+          checkAuthorListsSize(lists.lists);
+          changes.authorLists = lists.lists;
+          rules = remapRuleLists(rules, lists.idMap);
+          listsAdded = lists.added;
+          if (data.preferences && (replace || conflict === 'useImported')) {
+            changes.preferences = {
+              pendingReview: !!data.preferences.pendingReview,
+              failMode: data.preferences.failMode || 'open',
+              prefetchScreens: data.preferences.prefetchScreens || 2
+            };
+          }
+        }
+  
+        const merged = mergeImportedRules(replace ? [] : await loadRules(), rules, conflict);
+        changes.filters = merged.rules;
+        await chrome.storage.sync.set(changes);
+  
+        if (changes.authorLists) await loadLists();
+        if (changes.preferences) loadPreferences();
+        loadFilters();
+        await sendRulesToTabs(merged.rules);
+  
+        let corrections = 0;
+        if (data.type === 'config') {
+          const response = await chrome.runtime.sendMessage({
+            action: 'importFeedback',
+            entries: remapCorrections(data.corrections, merged.idMap),
+            replace
+          });
+          if (!response || !response.success) throw new Error(response ? response.error : 'No response');
+          corrections = response.count;
+        }
+  
+        const parts = [`${merged.added} added`];
+        if (merged.updated) parts.push(`${merged.updated} updated`);
+        if (merged.skipped) parts.push(`${merged.skipped} already existed`);
+        if (listsAdded) parts.push(`${listsAdded} account list${listsAdded === 1 ? '' : 's'}`);
+        if (corrections) parts.push(`${corrections} correction${corrections === 1 ? '' : 's'}`);
+        showStatus(`Imported ${data.name ? `"${data.name}"` : 'filters'}: ${parts.join(', ')}`, 'success');
+        return true;
+      } catch (error) {
+        showStatus(`Error importing filters: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+      }
+    }
+  
+    async function loadFocusMode() {
+      try {
+        showFocusMode(await chrome.runtime.sendMessage({ action: 'getFocusMode' }));
+      } catch (error) {
+        console.error('Error loading focus mode:', error);
+      }
+    }
+  
+    // Focus mode turns on the "Only in focus mode" filters for a while;
+    // the background worker turns it off again when the time is up
+    async function toggleFocusMode() {
+      try {
+        const state = focusUntil > Date.now()
+          ? await chrome.runtime.sendMessage({ action: 'stopFocusMode' })
+          : await chrome.runtime.sendMessage({ action: 'startFocusMode', minutes: Number(focusDuration.value) });
+        if (state.error) throw new Error(state.error);
+        showFocusMode(state);
+        loadFilters();
+        showStatus(state.active ? 'Focus mode on' : 'Focus mode off', 'success');
+      } catch (error) {
+        showStatus('Error switching focus mode', 'error');
+        console.error(error);
+      }
+    }
+  
+    function showFocusMode(state) {
+      focusUntil = state && state.active ? state.until : 0;
+      const active = focusUntil > Date.now();
+      focusMode.classList.toggle('active', active);
+      focusDuration.hidden = active;
+      focusToggle.textContent = active ? 'Stop' : 'Start';
+      focusText.textContent = active
+        ? `🎯 Focus mode until ${new Date(focusUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+        : '🎯 Focus mode';
+    }
+  
+    async function loadPreferences() {
+      try {
+        const result = await chrome.storage.sync.get(['preferences']);
+        const preferences = result.preferences || {};
+        pendingReviewToggle.checked = !!preferences.pendingReview;
+        failModeSelect.value = preferences.failMode || 'open';
+        prefetchSelect.value = String(preferences.prefetchScreens || 2);
+      } catch (error) {
+        console.error('Error loading preferences:', error);
+      }
+    }
+  
+    // Content scripts pick these up through chrome.storage.onChanged
+    async function savePreferences() {
+      try {
+        await chrome.storage.sync.set({
+          preferences: {
+            pendingReview: pendingReviewToggle.checked,
+            failMode: failModeSelect.value,
+            prefetchScreens: Number(prefetchSelect.value)
+          }
+        });
+        showStatus('Preferences saved', 'success');
+      } catch (error) {
+        showStatus('Error saving preferences', 'error');
+        console.error(error);
+      }
+    }
+  
     function showStatus(message, type) {
       status.textContent = message;
       status.className = `status ${type}`;
@@ -0,0 +1,84 @@
+// Author lists, kept in chrome.storage.sync next to the rules and shared by
+// the popup and content script. A list is a named set of handles with a
+// policy: posts by accounts on an "allow" list are never filtered, posts by
+// accounts on a "deny" list are always hidden, and a list without a policy
+// is only there for rules scoped to accounts outside it. Both policies are
+// settled in the content script, so those posts never go to the model.
+
+const AUTHOR_LIST_POLICIES = {
+  none: 'No policy (for filter scopes)',
+  allow: 'Never filter',
+  deny: 'Always hide'
+};
+
+// chrome.storage.sync allows 8 KB per item, counted as the key plus the JSON
+// of its value. Every list is kept under the one key, so that limit is on all
+// of them together; a single list can't hold more than this many handles.
+const MAX_LIST_HANDLES = 400;
+const AUTHOR_LISTS_KEY = 'authorLists';
+const AUTHOR_LISTS_MAX_BYTES = 8192;
+
+// Accepts "@alice", "alice", "u/alice" or a profile link. Handles are
+// compared case-insensitively on every site.
+function normalizeHandle(value) {
+  let handle = String(value || '').trim();
+  const link = handle.match(/^https?:\/\/[^/]+\/(?:@|u\/|user\/|profile\/)?([^/?#]+)/i);
+  if (link) handle = decodeURIComponent(link[1]);
+  return handle.replace(/^@/, '').replace(/^u\//i, '').toLowerCase();
+}
+
+function parseListHandles(text) {
+  return [...new Set(String(text || '').split(/[\s,]+/).map(normalizeHandle).filter(Boolean))];
+}
+
+function normalizeAuthorList(value) {
+  const list = { ...value };
+  const handles = Array.isArray(list.handles) ? list.handles : parseListHandles(list.handles);
+
+  return {
+    id: list.id || generateAuthorListId(),
+    name: String(list.name || '').trim(),
+    policy: Object.hasOwn(AUTHOR_LIST_POLICIES, list.policy) ? list.policy : 'none',
+    handles: [...new Set(handles.map(normalizeHandle).filter(Boolean))]
+  };
+}
+
+function normalizeAuthorLists(values) {
+  return (values || []).map(normalizeAuthorList).filter(list => list.name);
+}
+
+function generateAuthorListId() {
+  return `list-${crypto.randomUUID()}`;
+}
+
+async function loadAuthorLists() {
+  const result = await chrome.storage.sync.get([AUTHOR_LISTS_KEY]);
+  return normalizeAuthorLists(result[AUTHOR_LISTS_KEY]);
+}
+
+function authorListsBytes(lists) {
+  return new TextEncoder().encode(AUTHOR_LISTS_KEY + JSON.stringify(lists)).length;
+}
+
+// Throws with a message for the popup when the lists won't fit in sync storage
+function checkAuthorListsSize(lists) {
+  const bytes = authorListsBytes(lists);
+  if (bytes > AUTHOR_LISTS_MAX_BYTES) {
+    throw new Error(`Account lists are too big to sync (${(bytes / 1024).toFixed(1)} KB of ${AUTHOR_LISTS_MAX_BYTES / 1024} KB). Remove some accounts or lists.`);
+  }
+}
+
+function authorListsContaining(lists, handle) {
+  const normalized = normalizeHandle(handle);
+  return normalized ? lists.filter(list => list.handles.includes(normalized)) : [];
+}
+
+// The list whose policy decides posts by this author, or null if the rules
+// do. An account on both kinds of list is never filtered: allowing is the
+// safer mistake.
+function authorListPolicy(lists, handle) {
+  const containing = authorListsContaining(lists, handle);
+  return containing.find(list => list.policy === 'allow') ||
+    containing.find(list => list.policy === 'deny') ||
+    null;
+}
@@ -0,0 +1,270 @@
+// Import and export of the filter configuration, used by the popup.
+// An export is a versioned JSON file holding the rules, preferences, author
+// lists and corrections; a "pack" is the same format with only rules in it (no IDs, list
+// links or corrections), meant for sharing a curated set of filters with others.
+// API keys and provider settings are never included.
+
+const CONFIG_FORMAT = 'smart-social-filter';
+const CONFIG_VERSION = 1;
+const CONFIG_TYPES = ['config', 'pack'];
+
+const IMPORT_MAX_RULES = 200;
+const IMPORT_MAX_CORRECTIONS = 2000;
+const IMPORT_MAX_AUTHOR_LISTS = 50;
+const IMPORT_DESCRIPTION_LENGTH = 1000;
+
+// What to do with an imported rule that matches one already saved, by ID or
+// by description
+const IMPORT_CONFLICTS = {
+  keepMine: 'Keep my version',
+  useImported: 'Use the imported version'
+};
+
+const PREFERENCE_FAIL_MODES = ['open', 'closed'];
+const CORRECTION_KINDS = ['wronglyFiltered', 'missed'];
+
+function buildConfigExport({ rules, preferences, authorLists, corrections }) {
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    type: 'config',
+    exportedAt: new Date().toISOString(),
+    rules,
+    preferences: preferences || {},
+    authorLists: authorLists || [],
+    corrections: corrections || []
+  };
+}
+
+function buildPackExport(rules, name) {
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    type: 'pack',
+    name: name || 'Filter pack',
+    // Account lists aren't in a pack, so a rule keeps its scope but not which list
+    rules: rules.map(({ id, listId, ...rule }) => rule)
+  };
+}
+
+// Parse and check an export or pack. Throws an Error listing what's wrong;
+// returns { type, name, rules, preferences, authorLists, corrections } with
+// the rules and lists normalized. A bare array of rules (or rule descriptions) is read as a pack.
+function parseConfigImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (Array.isArray(data)) {
+    data = { format: CONFIG_FORMAT, version: CONFIG_VERSION, type: 'pack', rules: data };
+  }
+
+  const errors = validateConfigImport(data);
+  if (errors.length > 0) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    throw new Error(`${errors.slice(0, 5).join('; ')}${more}`);
+  }
+
+  const isPack = data.type === 'pack';
+  return {
+    type: data.type,
+    name: typeof data.name === 'string' ? data.name : null,
+    // Pack rules always get fresh IDs, so two packs can't collide on them, and
+    // no list, since the lists they named aren't in the pack
+    rules: normalizeRules(data.rules.map(rule => {
+      const fields = typeof rule === 'string' ? { description: rule } : rule;
+      return isPack ? { ...fields, id: undefined, listId: undefined } : fields;
+    })),
+    preferences: isPack ? null : data.preferences || null,
+    authorLists: isPack ? [] : normalizeAuthorLists(data.authorLists),
+    corrections: isPack ? [] : data.corrections || []
+  };
+}
+
+function validateConfigImport(data) {
+  if (!isPlainObject(data)) return ['Expected a JSON object'];
+  if (data.format !== CONFIG_FORMAT) return ['Not a Smart Social Filter export or filter pack'];
+  if (!Number.isInteger(data.version) || data.version < 1) return ['Missing or invalid "version"'];
+  if (data.version > CONFIG_VERSION) return ['Made by a newer version of the extension; update it and try again'];
+  if (!CONFIG_TYPES.includes(data.type)) return [`"type" must be one of ${CONFIG_TYPES.join(', ')}`];
+
+  const errors = [];
+  if (data.name !== undefined && typeof data.name !== 'string') errors.push('"name" must be a string');
+
+  if (!Array.isArray(data.rules)) {
+    errors.push('"rules" must be a list');
+  } else if (data.rules.length > IMPORT_MAX_RULES) {
+    errors.push(`Too many rules (at most ${IMPORT_MAX_RULES})`);
+  } else {
+    data.rules.forEach((rule, index) => errors.push(...validateImportedRule(rule, `rules[${index}]`)));
+  }
+
+  if (data.type === 'config') {
+    if (data.preferences !== undefined) errors.push(...validateImportedPreferences(data.preferences));
+    if (data.authorLists !== undefined) {
+      if (!Array.isArray(data.authorLists)) {
+        errors.push('"authorLists" must be a list');
+      } else if (data.authorLists.length > IMPORT_MAX_AUTHOR_LISTS) {
+        errors.push(`Too many author lists (at most ${IMPORT_MAX_AUTHOR_LISTS})`);
+      } else {
+        data.authorLists.forEach((list, index) => errors.push(...validateImportedAuthorList(list, `authorLists[${index}]`)));
+      }
+    }
+    if (data.corrections !== undefined) {
+      if (!Array.isArray(data.corrections)) {
+        errors.push('"corrections" must be a list');
+      } else if (data.corrections.length > IMPORT_MAX_CORRECTIONS) {
+        errors.push(`Too many corrections (at most ${IMPORT_MAX_CORRECTIONS})`);
+      } else {
+        data.corrections.forEach((entry, index) => errors.push(...validateImportedCorrection(entry, `corrections[${index}]`)));
+      }
+    }
+  }
+  return errors;
+}
+
+function validateImportedRule(rule, path) {
+  if (typeof rule === 'string') {
+    return rule.trim() ? [] : [`${path} is empty`];
+  }
+  if (!isPlainObject(rule)) return [`${path} must be an object or a description`];
+
+  const errors = [];
+  if (typeof rule.description !== 'string' || !rule.description.trim()) {
+    errors.push(`${path}.description must be a non-empty string`);
+  } else if (rule.description.length > IMPORT_DESCRIPTION_LENGTH) {
+    errors.push(`${path}.description is longer than ${IMPORT_DESCRIPTION_LENGTH} characters`);
+  }
+  if (rule.id !== undefined && (typeof rule.id !== 'string' || !rule.id)) errors.push(`${path}.id must be a string`);
+  if (rule.listId !== undefined && typeof rule.listId !== 'string') errors.push(`${path}.listId must be a string`);
+  if (rule.languages !== undefined &&
+      (!Array.isArray(rule.languages) || rule.languages.some(code => typeof code !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(code)))) {
+    errors.push(`${path}.languages must be a list of language codes`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') errors.push(`${path}.enabled must be true or false`);
+  if (rule.threshold !== undefined && !(typeof rule.threshold === 'number' && rule.threshold >= 0 && rule.threshold <= 100)) {
+    errors.push(`${path}.threshold must be a number from 0 to 100`);
+  }
+  [['action', RULE_ACTIONS], ['scope', RULE_SCOPES], ['match', RULE_MATCHERS], ['schedule', RULE_SCHEDULES]].forEach(([field, options]) => {
+    if (rule[field] !== undefined && !Object.hasOwn(options, rule[field])) {
+      errors.push(`${path}.${field} must be one of ${Object.keys(options).join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+function validateImportedPreferences(preferences) {
+  if (!isPlainObject(preferences)) return ['"preferences" must be an object'];
+  const errors = [];
+  if (preferences.pendingReview !== undefined && typeof preferences.pendingReview !== 'boolean') {
+    errors.push('preferences.pendingReview must be true or false');
+  }
+  if (preferences.failMode !== undefined && !PREFERENCE_FAIL_MODES.includes(preferences.failMode)) {
+    errors.push(`preferences.failMode must be one of ${PREFERENCE_FAIL_MODES.join(', ')}`);
+  }
+  if (preferences.prefetchScreens !== undefined &&
+      !(Number.isInteger(preferences.prefetchScreens) && preferences.prefetchScreens >= 1 && preferences.prefetchScreens <= 10)) {
+    errors.push('preferences.prefetchScreens must be a whole number from 1 to 10');
+  }
+  return errors;
+}
+
+function validateImportedAuthorList(list, path) {
+  if (!isPlainObject(list)) return [`${path} must be an object`];
+  const errors = [];
+  if (typeof list.name !== 'string' || !list.name.trim()) errors.push(`${path}.name must be a non-empty string`);
+  if (list.id !== undefined && (typeof list.id !== 'string' || !list.id)) errors.push(`${path}.id must be a string`);
+  if (list.policy !== undefined && !Object.hasOwn(AUTHOR_LIST_POLICIES, list.policy)) {
+    errors.push(`${path}.policy must be one of ${Object.keys(AUTHOR_LIST_POLICIES).join(', ')}`);
+  }
+  if (!Array.isArray(list.handles) || list.handles.some(handle => typeof handle !== 'string')) {
+    errors.push(`${path}.handles must be a list of handles`);
+  } else if (list.handles.length > MAX_LIST_HANDLES) {
+    errors.push(`${path} has too many handles (at most ${MAX_LIST_HANDLES})`);
+  }
+  return errors;
+}
+
+function validateImportedCorrection(entry, path) {
+  if (!isPlainObject(entry)) return [`${path} must be an object`];
+  const errors = [];
+  if (typeof entry.ruleId !== 'string' || !entry.ruleId) errors.push(`${path}.ruleId must be a string`);
+  if (typeof entry.tweetId !== 'string' || !entry.tweetId) errors.push(`${path}.tweetId must be a string`);
+  if (!CORRECTION_KINDS.includes(entry.kind)) errors.push(`${path}.kind must be one of ${CORRECTION_KINDS.join(', ')}`);
+  if (entry.text !== undefined && typeof entry.text !== 'string') errors.push(`${path}.text must be a string`);
+  return errors;
+}
+
+// Merge imported rules into the saved ones. Returns the new rule list, counts
+// for the status message, and a map from each imported rule ID to the ID it
+// ended up under, so its corrections can follow it.
+function mergeImportedRules(existing, imported, conflict = 'keepMine') {
+  const rules = existing.map(rule => ({ ...rule }));
+  const idMap = new Map();
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  imported.forEach(rule => {
+    const description = rule.description.toLowerCase();
+    const index = rules.findIndex(candidate => candidate.id === rule.id || candidate.description.toLowerCase() === description);
+
+    if (index === -1) {
+      rules.push(rule);
+      idMap.set(rule.id, rule.id);
+      added++;
+    } else if (conflict === 'useImported') {
+      rules[index] = { ...rule, id: rules[index].id };
+      idMap.set(rule.id, rules[index].id);
+      updated++;
+    } else {
+      idMap.set(rule.id, rules[index].id);
+      skipped++;
+    }
+  });
+
+  return { rules, idMap, added, updated, skipped };
+}
+
+// Merge imported author lists into the saved ones, matching by ID or name the
+// same way rules are. The ID map lets imported rules scoped to a list follow
+// it (remapRuleLists).
+function mergeImportedAuthorLists(existing, imported, conflict = 'keepMine') {
+  const lists = existing.map(list => ({ ...list }));
+  const idMap = new Map();
+  let added = 0;
+
+  imported.forEach(list => {
+    const name = list.name.toLowerCase();
+    const index = lists.findIndex(candidate => candidate.id === list.id || candidate.name.toLowerCase() === name);
+
+    if (index === -1) {
+      lists.push(list);
+      idMap.set(list.id, list.id);
+      added++;
+    } else {
+      if (conflict === 'useImported') lists[index] = { ...list, id: lists[index].id };
+      idMap.set(list.id, lists[index].id);
+    }
+  });
+
+  return { lists, idMap, added };
+}
+
+function remapRuleLists(rules, idMap) {
+  return rules.map(rule => rule.listId && idMap.has(rule.listId) ? { ...rule, listId: idMap.get(rule.listId) } : rule);
+}
+
+// Point imported corrections at the rules they were merged into, dropping any
+// whose rule didn't come along
+function remapCorrections(corrections, idMap) {
+  return corrections
+    .filter(entry => idMap.has(entry.ruleId))
+    .map(entry => ({ ...entry, ruleId: idMap.get(entry.ruleId) }));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
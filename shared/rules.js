@@ -0,0 +1,215 @@
+// Filter rules, shared by the popup, content script and background worker.
+// Rules used to be plain strings in chrome.storage.sync; they are now objects,
+// and anything still stored in the old format is migrated on read.
+
+const RULE_ACTIONS = {
+  hide: 'Hide',
+  blur: 'Blur',
+  collapse: 'Collapse to one line',
+  label: 'Label only'
+};
+
+const RULE_SCOPES = {
+  all: 'All posts',
+  replies: 'Only replies',
+  promoted: 'Only promoted posts',
+  reposts: 'Only reposts',
+  notFollowing: "Only accounts I don't follow",
+  outsideList: 'Only accounts outside a list'
+};
+
+// How a rule is matched. Anything other than "model" is settled locally by the
+// background worker's pre-filter and never sent to the model; for those the
+// description holds the keywords, pattern or handles.
+const RULE_MATCHERS = {
+  model: 'AI judgement',
+  keyword: 'Keywords',
+  regex: 'Regular expression',
+  author: 'Muted accounts'
+};
+
+// When a rule is active. "focus" rules only apply while focus mode is on
+// (started from the popup for a set time); the others follow a weekly window
+// in the browser's local time.
+const RULE_SCHEDULES = {
+  always: 'Always',
+  workHours: 'Work hours (Mon–Fri 9–5)',
+  weekends: 'Weekends',
+  nights: 'Nights (10pm–6am)',
+  focus: 'Only in focus mode'
+};
+
+// Minutes since midnight; a window whose end is before its start runs past
+// midnight, and counts as the day it started on
+const SCHEDULE_WINDOWS = {
+  workHours: { days: [1, 2, 3, 4, 5], start: 9 * 60, end: 17 * 60 },
+  weekends: { days: [0, 6], start: 0, end: 24 * 60 },
+  nights: { days: [0, 1, 2, 3, 4, 5, 6], start: 22 * 60, end: 6 * 60 }
+};
+
+const DEFAULT_RULE = {
+  enabled: true,
+  threshold: 60,
+  action: 'hide',
+  scope: 'all',
+  match: 'model',
+  schedule: 'always'
+};
+
+function createRule(description, fields = {}) {
+  return normalizeRule({ ...fields, description });
+}
+
+// Accepts a legacy string or a (possibly partial) rule object
+function normalizeRule(value) {
+  const rule = typeof value === 'string' ? { description: value } : { ...value };
+  const threshold = Number(rule.threshold);
+  const languages = parseRuleLanguages(rule.languages);
+
+  return {
+    id: rule.id || generateRuleId(),
+    description: String(rule.description || '').trim(),
+    enabled: rule.enabled !== false,
+    threshold: Number.isFinite(threshold) ? Math.min(100, Math.max(0, Math.round(threshold))) : DEFAULT_RULE.threshold,
+    action: RULE_ACTIONS[rule.action] ? rule.action : DEFAULT_RULE.action,
+    scope: RULE_SCOPES[rule.scope] ? rule.scope : DEFAULT_RULE.scope,
+    match: RULE_MATCHERS[rule.match] ? rule.match : DEFAULT_RULE.match,
+    schedule: RULE_SCHEDULES[rule.schedule] ? rule.schedule : DEFAULT_RULE.schedule,
+    // The author list an "outsideList" rule leaves alone (shared/author-lists.js)
+    ...(rule.scope === 'outsideList' && rule.listId ? { listId: String(rule.listId) } : {}),
+    // Languages the rule is limited to; left out when it applies to all of them
+    ...(languages.length > 0 ? { languages } : {})
+  };
+}
+
+// Language codes from a list or a comma separated string ("es, pt-BR"),
+// reduced to their primary subtags
+function parseRuleLanguages(value) {
+  const codes = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(codes
+    .map(code => String(code).trim().toLowerCase().split('-')[0])
+    .filter(code => /^[a-z]{2,3}$/.test(code)))];
+}
+
+function normalizeRules(values) {
+  return (values || []).map(normalizeRule).filter(rule => rule.description);
+}
+
+function generateRuleId() {
+  return `rule-${crypto.randomUUID()}`;
+}
+
+// Read the rules from sync storage, writing them back if they needed migrating
+async function loadRules() {
+  const result = await chrome.storage.sync.get(['filters']);
+  const stored = result.filters || [];
+  const rules = normalizeRules(stored);
+
+  const needsMigration = stored.some(value => typeof value === 'string' || !value.id);
+  if (needsMigration) {
+    await chrome.storage.sync.set({ filters: rules });
+  }
+  return rules;
+}
+
+// What a verdict for this rule depends on. Threshold, action, scope and
+// schedule are applied by the content script, so changing them doesn't need
+// a new verdict.
+function ruleFingerprint(rule) {
+  return `${rule.id}:${rule.match}:${rule.description}`;
+}
+
+// Which posts a rule reaches. Not part of the fingerprint, since a verdict
+// stays good when a rule's reach changes, but widening it brings posts
+// already on screen into reach, so it changes the set's version.
+function ruleReach(rule) {
+  return `${rule.scope}:${rule.listId || ''}:${(rule.languages || []).join(',')}`;
+}
+
+// Short version stamp for a set of rules, sent with each batch and echoed
+// back on its verdicts. Tabs re-check the posts they've seen when it changes.
+function filterSetVersion(rules) {
+  const text = rules.map(rule => `${ruleFingerprint(rule)}:${ruleReach(rule)}`).join('\n');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Name of the port tabs keep open to the background worker for their verdicts
+const VERDICT_PORT = 'verdicts';
+
+function enabledRules(rules) {
+  return rules.filter(rule => rule.enabled);
+}
+
+// Enabled, and inside its schedule at `now` (or focus mode is on)
+function ruleIsActive(rule, { now = new Date(), focus = false } = {}) {
+  if (!rule.enabled) return false;
+  if (rule.schedule === 'focus') return focus;
+
+  const window = SCHEDULE_WINDOWS[rule.schedule];
+  if (!window) return true;
+
+  const minute = now.getHours() * 60 + now.getMinutes();
+  if (window.start < window.end) {
+    return window.days.includes(now.getDay()) && minute >= window.start && minute < window.end;
+  }
+  const yesterday = (now.getDay() + 6) % 7;
+  return (window.days.includes(now.getDay()) && minute >= window.start) ||
+    (window.days.includes(yesterday) && minute < window.end);
+}
+
+function activeRules(rules, context) {
+  return rules.filter(rule => ruleIsActive(rule, context));
+}
+
+// The next time any enabled rule's schedule starts or ends, or null if none
+// of them has one. Every window boundary counts, on every day; at worst the
+// active set is re-checked and found unchanged.
+function nextScheduleChange(rules, now = new Date()) {
+  const minutes = new Set();
+  enabledRules(rules).forEach(rule => {
+    const window = SCHEDULE_WINDOWS[rule.schedule];
+    if (!window) return;
+    minutes.add(window.start % (24 * 60));
+    minutes.add(window.end % (24 * 60));
+    if (window.days.length < 7) minutes.add(0);
+  });
+
+  let next = null;
+  [0, 1].forEach(dayOffset => {
+    minutes.forEach(minute => {
+      const candidate = new Date(now);
+      candidate.setDate(candidate.getDate() + dayOffset);
+      candidate.setHours(0, minute, 0, 0);
+      if (candidate > now && (!next || candidate < next)) next = candidate;
+    });
+  });
+  return next;
+}
+
+// Scope is decided from what the page tells us about the tweet, before the
+// model ever sees it. Unknown follow state counts as "not following";
+// tweet.authorLists holds the IDs of the author lists the author is on.
+// A rule limited to some languages only applies to posts known to be in one
+// of them.
+function ruleAppliesTo(rule, tweet) {
+  if (rule.languages && !rule.languages.includes(tweet.language)) return false;
+
+  switch (rule.scope) {
+    case 'replies':
+      return !!tweet.isReply;
+    case 'promoted':
+      return !!tweet.isPromoted;
+    case 'reposts':
+      return !!tweet.isRepost;
+    case 'notFollowing':
+      return !tweet.authorFollowed;
+    case 'outsideList':
+      return !rule.listId || !(tweet.authorLists || []).includes(rule.listId);
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,54 @@
+// Sites the extension runs on, shared by the popup and content scripts.
+// Each one has a content-script adapter in content/sites/ with the same id;
+// `matches` must stay in step with the content_scripts and host_permissions
+// entries in manifest.json (test/sites.test.js checks this).
+// Mastodon has no single host, so only the largest public instances are listed.
+
+const SITES = [
+  {
+    id: 'twitter',
+    label: 'Twitter/X',
+    matches: ['https://twitter.com/*', 'https://x.com/*'],
+    mediaHosts: ['https://pbs.twimg.com/*']
+  },
+  {
+    id: 'reddit',
+    label: 'Reddit',
+    matches: ['https://www.reddit.com/*', 'https://old.reddit.com/*'],
+    mediaHosts: ['https://i.redd.it/*', 'https://preview.redd.it/*']
+  },
+  {
+    id: 'bluesky',
+    label: 'Bluesky',
+    matches: ['https://bsky.app/*'],
+    mediaHosts: ['https://cdn.bsky.app/*']
+  },
+  {
+    id: 'mastodon',
+    label: 'Mastodon',
+    matches: [
+      'https://mastodon.social/*',
+      'https://mastodon.online/*',
+      'https://mstdn.social/*',
+      'https://fosstodon.org/*',
+      'https://hachyderm.io/*',
+      'https://infosec.exchange/*'
+    ],
+    mediaHosts: ['https://files.mastodon.social/*', 'https://cdn.masto.host/*']
+  }
+];
+
+function siteMatchPatterns() {
+  return SITES.flatMap(site => site.matches);
+}
+
+// The site a tab's URL belongs to, or null. Patterns are all "https://host/*".
+function siteForUrl(url) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+  return SITES.find(site => site.matches.some(pattern => new URL(pattern.replace('/*', '/')).host === host)) || null;
+}
@@ -0,0 +1,109 @@
+// Author allow/deny lists and the "outside a list" scope, settled by the
+// content script before anything is batched (shared/author-lists.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadContent } = require('./helpers/load-content');
+
+const TIMELINE = fs.readFileSync(path.join(__dirname, 'fixtures', 'x-timeline.html'), 'utf8');
+const RULE = { id: 'rule-all', description: 'Anything', enabled: true, threshold: 60, action: 'hide', scope: 'all', match: 'model', schedule: 'always' };
+const FRIENDS = { id: 'list-friends', name: 'Friends', policy: 'allow', handles: ['MiaChen'] };
+const BLOCKED = { id: 'list-blocked', name: 'Blocked', policy: 'deny', handles: ['@samrivera'] };
+
+// Filters every post it's sent, so anything left showing was never sent
+function filterEverything(message) {
+  if (message.action === 'checkAPI') return { available: true, model: 'mock-model' };
+  if (message.action === 'filterBatch') {
+    return message.tweets.map(() => ({ shouldFilter: true, ruleId: message.filters[0].id, confidence: '90%', method: 'API Analysis', filterVersion: message.filterVersion }));
+  }
+  return { success: true };
+}
+
+function start(sync) {
+  const page = loadContent(TIMELINE, { sync, reply: filterEverything });
+  const byAuthor = handle => page.document.querySelector(`a[href="/${handle}"]`).closest('article');
+  const overlayText = handle => {
+    const overlay = byAuthor(handle).querySelector(':scope > .filter-overlay');
+    return overlay ? overlay.shadowRoot.textContent : null;
+  };
+  const sentAuthors = () => page.messages
+    .filter(message => message.action === 'filterBatch')
+    .flatMap(message => message.tweets.map(tweet => tweet.author.handle));
+  return { page, overlayText, sentAuthors };
+}
+
+test('allowed and denied authors are settled without asking the model', async () => {
+  const { page, overlayText, sentAuthors } = start({ filters: [RULE], authorLists: [FRIENDS, BLOCKED] });
+  await page.waitFor(() => sentAuthors().length > 0 && overlayText('gadgetstore'));
+
+  assert.ok(!sentAuthors().includes('samrivera'));
+  assert.ok(!sentAuthors().includes('miachen'));
+  assert.ok(sentAuthors().includes('gadgetstore'));
+
+  assert.match(overlayText('samrivera'), /matches: "Account list: Blocked"/);
+  assert.match(overlayText('samrivera'), /Method: Author List/);
+  assert.equal(overlayText('miachen'), null);
+  page.close();
+});
+
+test('deny lists hide posts even with no filters', async () => {
+  const { page, overlayText, sentAuthors } = start({ filters: [], authorLists: [BLOCKED] });
+  await page.waitFor(() => overlayText('samrivera'));
+  await page.settle();
+
+  assert.equal(sentAuthors().length, 0);
+  assert.equal(overlayText('gadgetstore'), null);
+  page.close();
+});
+
+test('a rule scoped outside a list leaves its accounts alone', async () => {
+  const scoped = { ...RULE, scope: 'outsideList', listId: 'list-news' };
+  const news = { id: 'list-news', name: 'News', policy: 'none', handles: ['gadgetstore', 'jopark'] };
+  const { page, overlayText, sentAuthors } = start({ filters: [scoped], authorLists: [news] });
+  await page.waitFor(() => overlayText('samrivera'));
+
+  assert.ok(!sentAuthors().includes('gadgetstore'));
+  assert.ok(!sentAuthors().includes('jopark'));
+  assert.equal(overlayText('gadgetstore'), null);
+  page.close();
+});
+
+test('widening a rule from outside a list to everyone checks that list\'s posts', async () => {
+  const scoped = { ...RULE, scope: 'outsideList', listId: 'list-news' };
+  const news = { id: 'list-news', name: 'News', policy: 'none', handles: ['gadgetstore'] };
+  const { page, overlayText, sentAuthors } = start({ filters: [scoped], authorLists: [news] });
+  await page.waitFor(() => overlayText('samrivera'));
+  assert.ok(!sentAuthors().includes('gadgetstore'));
+
+  await page.tabMessage({ action: 'updateFilters', filters: [RULE] });
+  await page.waitFor(() => overlayText('gadgetstore'));
+  assert.ok(sentAuthors().includes('gadgetstore'));
+  page.close();
+});
+
+test('taking an author off a deny list sends their post to be checked', async () => {
+  const { page, overlayText, sentAuthors } = start({ filters: [RULE], authorLists: [BLOCKED] });
+  await page.waitFor(() => overlayText('samrivera') && sentAuthors().length > 0);
+  assert.ok(!sentAuthors().includes('samrivera'));
+
+  await page.window.chrome.storage.sync.set({ authorLists: [{ ...BLOCKED, handles: [] }] });
+  await page.waitFor(() => sentAuthors().includes('samrivera'));
+  await page.waitFor(() => overlayText('samrivera') && !/Author List/.test(overlayText('samrivera')));
+
+  assert.match(overlayText('samrivera'), /matches: "Anything"/);
+  page.close();
+});
+
+test('handles are read from profile links, @-mentions and pasted lists alike', () => {
+  const page = loadContent(TIMELINE);
+  const normalize = value => page.run('normalizeHandle')(value);
+
+  assert.equal(normalize('@SamRivera'), 'samrivera');
+  assert.equal(normalize('https://x.com/SamRivera/status/1'), 'samrivera');
+  assert.equal(normalize('https://bsky.app/profile/alice.bsky.social'), 'alice.bsky.social');
+  assert.equal(normalize('u/Spez'), 'spez');
+  assert.deepEqual([...page.run('parseListHandles')('@a, @b\nc  @a')], ['a', 'b', 'c']);
+  page.close();
+});
@@ -0,0 +1,140 @@
+// Import and export of the configuration and filter packs (shared/config-transfer.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadBackground, ROOT } = require('./helpers/load-background');
+
+const context = vm.createContext({ crypto });
+['shared/rules.js', 'shared/author-lists.js', 'shared/config-transfer.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+});
+const call = (name, ...args) => context[name](...args);
+
+const RULES = [
+  { id: 'rule-politics', description: 'Politics', enabled: true, threshold: 70, action: 'blur', scope: 'all', match: 'model', schedule: 'always' },
+  { id: 'rule-crypto', description: 'bitcoin, nft', enabled: false, threshold: 60, action: 'hide', scope: 'all', match: 'keyword', schedule: 'always' }
+];
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('an export round-trips rules, preferences and corrections', () => {
+  const corrections = [{ ruleId: 'rule-politics', tweetId: '1', kind: 'missed', text: 'vote', at: 1 }];
+  const exported = call('buildConfigExport', { rules: RULES, preferences: { pendingReview: true, failMode: 'closed' }, corrections });
+  const imported = plain(call('parseConfigImport', JSON.stringify(exported)));
+
+  assert.equal(imported.type, 'config');
+  assert.deepEqual(imported.rules, RULES);
+  assert.deepEqual(imported.preferences, { pendingReview: true, failMode: 'closed' });
+  assert.deepEqual(imported.corrections, corrections);
+});
+
+test('packs carry no rule IDs and get fresh ones on import', () => {
+  const pack = plain(call('buildPackExport', RULES, 'Calm feed'));
+  assert.ok(pack.rules.every(rule => !('id' in rule)));
+
+  const imported = plain(call('parseConfigImport', JSON.stringify({ ...pack, rules: [...pack.rules, { ...pack.rules[0], id: 'rule-politics' }] })));
+  assert.equal(imported.name, 'Calm feed');
+  assert.ok(imported.rules.every(rule => rule.id.startsWith('rule-') && rule.id !== 'rule-politics'));
+  assert.deepEqual(imported.corrections, []);
+  assert.equal(imported.preferences, null);
+});
+
+test('packs leave out the account list a rule is scoped to', () => {
+  const scoped = { ...RULES[0], scope: 'outsideList', listId: 'list-friends' };
+  const pack = plain(call('buildPackExport', [scoped]));
+  assert.equal('listId' in pack.rules[0], false);
+  assert.equal(pack.rules[0].scope, 'outsideList');
+
+  const imported = plain(call('parseConfigImport', JSON.stringify({ ...pack, rules: [scoped] })));
+  assert.equal('listId' in imported.rules[0], false);
+});
+
+test('a bare list of descriptions is read as a pack', () => {
+  const imported = plain(call('parseConfigImport', '["Sports", {"description": "Spoilers", "action": "blur"}]'));
+  assert.equal(imported.type, 'pack');
+  assert.deepEqual(imported.rules.map(rule => [rule.description, rule.action]), [['Sports', 'hide'], ['Spoilers', 'blur']]);
+});
+
+test('invalid files are rejected with the reason', () => {
+  const base = { format: 'smart-social-filter', version: 1, type: 'pack' };
+  const rejects = (data, pattern) => assert.throws(() => call('parseConfigImport', typeof data === 'string' ? data : JSON.stringify(data)), pattern);
+
+  rejects('{not json', /Not valid JSON/);
+  rejects({ rules: [] }, /Not a Smart Social Filter export/);
+  rejects({ ...base, version: 2, rules: [] }, /newer version/);
+  rejects({ ...base, rules: 'Politics' }, /"rules" must be a list/);
+  rejects({ ...base, rules: [{ description: '' }] }, /rules\[0\]\.description/);
+  rejects({ ...base, rules: [{ description: 'a', action: 'explode', threshold: 150 }] }, /rules\[0\]\.threshold.*rules\[0\]\.action/);
+  rejects({ ...base, type: 'config', rules: [], corrections: [{ ruleId: 'r', tweetId: '1', kind: 'liked' }] }, /corrections\[0\]\.kind/);
+  rejects({ ...base, rules: [{ description: 'a', match: 'toString' }] }, /rules\[0\]\.match/);
+  rejects({ ...base, rules: [{ description: 'a', languages: 'es' }] }, /rules\[0\]\.languages/);
+});
+
+test('conflicting rules keep mine or take the imported version', () => {
+  const imported = [
+    { ...RULES[0], id: 'rule-other', description: 'POLITICS', threshold: 90 },
+    { ...RULES[1], id: 'rule-crypto', description: 'bitcoin, nft, web3' },
+    { ...RULES[0], id: 'rule-new', description: 'Sports' }
+  ];
+
+  const kept = plain({ ...call('mergeImportedRules', RULES, imported, 'keepMine'), idMap: null });
+  assert.deepEqual(kept.rules.slice(0, 2), RULES);
+  assert.equal(kept.rules[2].description, 'Sports');
+  assert.deepEqual([kept.added, kept.updated, kept.skipped], [1, 0, 2]);
+
+  const replaced = call('mergeImportedRules', RULES, imported, 'useImported');
+  const rules = plain(replaced.rules);
+  assert.deepEqual(rules.map(rule => rule.id), ['rule-politics', 'rule-crypto', 'rule-new']);
+  assert.equal(rules[0].threshold, 90);
+  assert.equal(rules[1].description, 'bitcoin, nft, web3');
+  assert.deepEqual([replaced.added, replaced.updated, replaced.skipped], [1, 2, 0]);
+
+  const corrections = plain(call('remapCorrections', [
+    { ruleId: 'rule-other', tweetId: '1', kind: 'missed' },
+    { ruleId: 'rule-gone', tweetId: '2', kind: 'missed' }
+  ], replaced.idMap));
+  assert.deepEqual(corrections, [{ ruleId: 'rule-politics', tweetId: '1', kind: 'missed' }]);
+});
+
+test('author lists are exported, and rules scoped to one follow it on import', () => {
+  const lists = [{ id: 'list-theirs', name: 'friends', policy: 'allow', handles: ['@Alice', 'bob'] }];
+  const scoped = { ...RULES[0], scope: 'outsideList', listId: 'list-theirs' };
+  const exported = call('buildConfigExport', { rules: [scoped], authorLists: lists });
+  const imported = call('parseConfigImport', JSON.stringify(exported));
+  assert.deepEqual(plain(imported.authorLists), [{ id: 'list-theirs', name: 'friends', policy: 'allow', handles: ['alice', 'bob'] }]);
+
+  const mine = [{ id: 'list-mine', name: 'Friends', policy: 'none', handles: ['carol'] }];
+  const merged = call('mergeImportedAuthorLists', mine, imported.authorLists, 'keepMine');
+  assert.deepEqual(plain(merged.lists), mine);
+  assert.equal(merged.added, 0);
+  assert.equal(plain(call('remapRuleLists', imported.rules, merged.idMap))[0].listId, 'list-mine');
+
+  const replaced = plain(call('mergeImportedAuthorLists', mine, imported.authorLists, 'useImported').lists);
+  assert.deepEqual(replaced, [{ id: 'list-mine', name: 'friends', policy: 'allow', handles: ['alice', 'bob'] }]);
+
+  assert.throws(() => call('parseConfigImport', JSON.stringify({ ...exported, authorLists: [{ name: 'x', policy: 'mute', handles: 'alice' }] })),
+    /authorLists\[0\]\.policy.*authorLists\[0\]\.handles/);
+});
+
+test('imported corrections merge with saved ones, which win on a clash', async () => {
+  const store = loadBackground().run('feedbackStore');
+  await store.add({ id: '1', text: 'mine' }, 'rule-politics', 'wronglyFiltered');
+
+  const count = await store.import([
+    { ruleId: 'rule-politics', tweetId: '1', kind: 'missed', text: 'theirs', at: 5 },
+    { ruleId: 'rule-politics', tweetId: '2', kind: 'missed', text: 'new', at: 6 },
+    { ruleId: 'rule-politics', tweetId: '3', kind: 'bogus', text: 'dropped' }
+  ]);
+  const entries = plain(await store.list());
+
+  assert.equal(count, 1);
+  assert.deepEqual(entries.map(entry => [entry.tweetId, entry.kind]), [['2', 'missed'], ['1', 'wronglyFiltered']]);
+
+  await store.import([{ ruleId: 'rule-politics', tweetId: '9', kind: 'missed', text: 'only' }], { replace: true });
+  assert.deepEqual(plain(await store.list()).map(entry => entry.tweetId), ['9']);
+});
@@ -0,0 +1,166 @@
+// The whole path, offline: a saved x.com timeline in jsdom, the content
+// scripts, the background worker and a mock model server on localhost.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./helpers/load-background');
+const { loadContent } = require('./helpers/load-content');
+const { startMockProvider } = require('./helpers/mock-provider');
+
+const TIMELINE = fs.readFileSync(path.join(__dirname, 'fixtures', 'x-timeline.html'), 'utf8');
+const BAKING = { id: 'rule-baking', description: 'Baking and bread', enabled: true, threshold: 60, action: 'hide', scope: 'all', match: 'model', schedule: 'always' };
+
+// Matches posts that mention sourdough, as a model that understood the rule would
+function judge(request) {
+  return JSON.stringify({
+    results: request.posts.map(post => {
+      const match = /sourdough/i.test(post.text);
+      return {
+        tweetIndex: post.tweetIndex,
+        shouldFilter: match,
+        matchedRule: match ? 1 : null,
+        confidence: match ? 92 : 5,
+        imageTriggered: false,
+        reasoning: match ? 'Post is about baking bread' : 'Unrelated'
+      };
+    })
+  });
+}
+
+async function start(t, { provider = 'gemini', settings = {}, preferences = {}, respond = judge, script = [] } = {}) {
+  const mock = await startMockProvider({ respond });
+  mock.script(...script);
+  const background = loadBackground({
+    provider,
+    fetch,
+    settings: { baseUrls: { [provider]: mock.url }, ...settings }
+  });
+  // Keep retries quick
+  background.run('requestScheduler').options.baseBackoffMs = 20;
+
+  const page = loadContent(TIMELINE, { background, sync: { filters: [BAKING], preferences } });
+  t.after(async () => {
+    page.close();
+    await mock.close();
+  });
+  return { mock, background, page };
+}
+
+const articles = page => Array.from(page.document.querySelectorAll('article[data-testid="tweet"]'));
+const overlayOf = article => article.querySelector(':scope > .filter-overlay');
+const settled = page => articles(page).every(article => !article.dataset.filterState);
+
+test('a matching post is covered and the rest are left alone', async (t) => {
+  const { mock, page } = await start(t);
+  await page.waitFor(() => settled(page) && page.messages.some(message => message.action === 'filterBatch'));
+  await page.waitFor(() => overlayOf(articles(page)[0]));
+
+  const [bread, ...others] = articles(page);
+  const shadow = overlayOf(bread).shadowRoot;
+  assert.match(shadow.textContent, /matches: "Baking and bread"/);
+  assert.match(shadow.textContent, /Confidence: 92%/);
+  assert.ok(others.every(article => !overlayOf(article)));
+
+  // All six posts went in one streamed batch
+  assert.equal(mock.batches().length, 1);
+  assert.equal(mock.batches()[0].posts.length, 6);
+  assert.match(mock.batches()[0].path, /:streamGenerateContent$/);
+});
+
+test('the overlay can be shown and covered again from the keyboard', async (t) => {
+  const { page } = await start(t);
+  await page.waitFor(() => overlayOf(articles(page)[0]));
+
+  const [bread] = articles(page);
+  const shadow = overlayOf(bread).shadowRoot;
+  const [showButton] = shadow.querySelectorAll('.buttons button');
+  assert.equal(showButton.textContent, 'Show Content');
+  assert.equal(bread.firstElementChild.inert, true);
+
+  showButton.click();
+  assert.ok(bread.classList.contains('content-revealed'));
+  assert.equal(bread.firstElementChild.inert, false);
+  assert.equal(shadow.activeElement, shadow.querySelector('.rehide'));
+
+  bread.querySelector('[data-testid="tweetText"]').dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.ok(!bread.classList.contains('content-revealed'));
+  assert.equal(shadow.activeElement, showButton);
+});
+
+test('a rate-limited batch is retried instead of failing open', async (t) => {
+  const { mock, page } = await start(t, { script: [{ status: 429, retryAfter: 0 }] });
+  await page.waitFor(() => overlayOf(articles(page)[0]));
+
+  assert.equal(mock.batches().length, 2);
+  assert.ok(articles(page).slice(1).every(article => !overlayOf(article)));
+});
+
+test('a reply that isn\'t JSON fails open, or keeps posts hidden when set to fail closed', async (t) => {
+  const respond = () => 'Sorry, I can only help with cooking questions.';
+
+  const open = await start(t, { respond });
+  await open.page.waitFor(() => open.mock.batches().length === 1 && settled(open.page));
+  await open.page.settle();
+  assert.ok(articles(open.page).every(article => !overlayOf(article)));
+
+  const closed = await start(t, { respond, preferences: { failMode: 'closed' } });
+  await closed.page.waitFor(() => articles(closed.page).every(overlayOf));
+  const shadow = overlayOf(articles(closed.page)[0]).shadowRoot;
+  assert.match(shadow.textContent, /Could Not Check Post/);
+  assert.match(shadow.textContent, /JSON parsing failed/);
+});
+
+test('the same result without streaming, through the OpenAI format', async (t) => {
+  const { mock, page } = await start(t, { provider: 'openai', settings: { stream: false } });
+  await page.waitFor(() => overlayOf(articles(page)[0]));
+
+  assert.ok(articles(page).slice(1).every(article => !overlayOf(article)));
+  assert.equal(mock.batches()[0].path, '/chat/completions');
+  assert.equal(mock.batches()[0].body.stream, undefined);
+});
+
+test('posts still queued when the worker stops are sent again', async (t) => {
+  // Everything is queued until the worker stops; after that it answers
+  let stopped = false;
+  const page = loadContent(TIMELINE, {
+    sync: { filters: [BAKING], preferences: { pendingReview: true } },
+    reply: message => {
+      if (message.action === 'checkAPI') return { available: true, model: 'mock-model' };
+      if (message.action !== 'filterBatch') return { success: true };
+      return message.tweets.map(tweet => stopped
+        ? { shouldFilter: /sourdough/.test(tweet.text), ruleId: 'rule-baking', confidence: '92%', method: 'API Analysis', filterVersion: message.filterVersion }
+        : { pending: true, shouldFilter: false, filterVersion: message.filterVersion });
+    }
+  });
+  t.after(() => page.close());
+  let port = null;
+  const connect = page.window.chrome.runtime.connect;
+  page.window.chrome.runtime.connect = options => (port = connect(options));
+  const sent = () => page.messages.filter(message => message.action === 'filterBatch').flatMap(message => message.tweets);
+
+  await page.waitFor(() => sent().length === 6 && articles(page).every(article => article.dataset.filterState === 'pending'));
+  stopped = true;
+  port.peer.disconnect();
+
+  await page.waitFor(() => settled(page));
+  await page.settle();
+  const [bread, ...others] = articles(page);
+  assert.match(overlayOf(bread).shadowRoot.textContent, /matches: "Baking and bread"/);
+  assert.ok(others.every(article => !overlayOf(article)));
+  assert.equal(sent().length, 12);
+});
+
+test('switching off the last filter lets go of posts still waiting for a verdict', async (t) => {
+  // Everything stays queued, as if the model were slow
+  const page = loadContent(TIMELINE, { sync: { filters: [BAKING], preferences: { pendingReview: true } } });
+  t.after(() => page.close());
+  const sent = () => page.messages.filter(message => message.action === 'filterBatch').flatMap(message => message.tweets);
+  await page.waitFor(() => sent().length === 6);
+  assert.ok(articles(page).every(article => article.querySelector(':scope > .pending-overlay')));
+
+  await page.tabMessage({ action: 'updateFilters', filters: [{ ...BAKING, enabled: false }] });
+  await page.waitFor(() => settled(page));
+  assert.ok(articles(page).every(article => !overlayOf(article)));
+});
@@ -0,0 +1,128 @@
+// The overlay's "Why?" panel: every matched rule, the model's reasoning, and
+// the flagged words highlighted in the post once it's shown.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./helpers/load-background');
+const { loadContent } = require('./helpers/load-content');
+const { startMockProvider } = require('./helpers/mock-provider');
+
+const TIMELINE = fs.readFileSync(path.join(__dirname, 'fixtures', 'x-timeline.html'), 'utf8');
+const rule = (id, description, fields = {}) => ({ id, description, enabled: true, threshold: 60, action: 'hide', scope: 'all', match: 'model', schedule: 'always', ...fields });
+const BAKING = rule('rule-baking', 'Baking');
+const FOOD = rule('rule-food', 'Food');
+const REPLIES = rule('rule-replies', 'Anything in replies', { scope: 'replies' });
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function result(tweetIndex, overrides = {}) {
+  return { tweetIndex, shouldFilter: false, matchedRule: null, confidence: 10, imageTriggered: false, reasoning: 'ok', ...overrides };
+}
+
+// jsdom has no CSS Custom Highlight API, so the page gets a stand-in that
+// just keeps the ranges
+function stubHighlights(window) {
+  window.Highlight = class extends window.Set {};
+  window.CSS = { highlights: new window.Map() };
+  return () => [...(window.CSS.highlights.get('smart-filter-span') || [])].map(range => range.toString());
+}
+
+test('every matched rule and the flagged words are kept, and bad ones rejected', () => {
+  const background = loadBackground();
+  const parse = items => plain(background.call('parseBatchResponse', JSON.stringify({ results: items }), items.length, 3));
+
+  const [matched, clean] = parse([
+    result(1, { shouldFilter: true, matchedRule: 2, matchedRules: [3, 2, 3], spans: ['  the finale ', '', 'x'.repeat(300)] }),
+    result(2, { matchedRules: [1], spans: ['left over'] })
+  ]);
+  assert.deepEqual(matched.matchedRules, [2, 3]);
+  assert.deepEqual(matched.spans, ['the finale', 'x'.repeat(200)]);
+  assert.deepEqual([clean.matchedRules, clean.spans], [[], []]);
+
+  // Older or smaller models may leave both out
+  assert.deepEqual(parse([result(1, { shouldFilter: true, matchedRule: 1 })])[0].matchedRules, [1]);
+
+  const rejected = parse([
+    result(1, { shouldFilter: true, matchedRule: 1, matchedRules: [1, 4] }),
+    result(2, { shouldFilter: true, matchedRule: 1, spans: 'the finale' })
+  ]);
+  assert.ok(rejected.every(item => item.error === 'Invalid result returned'));
+});
+
+test('rules scoped away from a post are left out of its matches', async () => {
+  const background = loadBackground({
+    respond: () => JSON.stringify({ results: [result(1, { shouldFilter: true, matchedRule: 1, matchedRules: [1, 2], spans: ['bread'] })] })
+  });
+  const [verdict] = plain(await background.call('analyzeBatchWithAPI', [{ id: 't1', text: 'bread', hasImages: false, ruleIds: ['rule-baking'] }], [BAKING, REPLIES]));
+
+  assert.deepEqual(verdict.matchedRuleIds, ['rule-baking']);
+  assert.deepEqual(verdict.spans, ['bread']);
+});
+
+test('the Why? panel explains a hidden post and its words light up when shown', async (t) => {
+  const mock = await startMockProvider({
+    respond: request => JSON.stringify({
+      results: request.posts.map(post => /sourdough/.test(post.text)
+        ? result(post.tweetIndex, { shouldFilter: true, matchedRule: 1, matchedRules: [2], confidence: 90, reasoning: 'About baking bread', spans: ['SOURDOUGH', 'first  time', 'not in the post'] })
+        : result(post.tweetIndex))
+    })
+  });
+  const background = loadBackground({ fetch, settings: { baseUrls: { gemini: mock.url } } });
+  const page = loadContent(TIMELINE, { background, sync: { filters: [BAKING, FOOD] } });
+  t.after(async () => {
+    page.close();
+    await mock.close();
+  });
+  const highlighted = stubHighlights(page.window);
+
+  const post = page.document.querySelector('article');
+  await page.waitFor(() => post.querySelector(':scope > .filter-overlay'));
+  const shadow = post.querySelector(':scope > .filter-overlay').shadowRoot;
+  const whyButton = [...shadow.querySelectorAll('button')].find(button => button.textContent === 'Why?');
+  const panel = shadow.getElementById(whyButton.getAttribute('aria-controls'));
+  assert.equal(panel.hidden, true);
+
+  whyButton.click();
+  assert.equal(panel.hidden, false);
+  assert.equal(whyButton.getAttribute('aria-expanded'), 'true');
+  assert.deepEqual([...panel.querySelectorAll('li')].map(item => item.textContent), ['Baking', 'Food', '“SOURDOUGH”', '“first time”', '“not in the post”']);
+  assert.match(panel.textContent, /About baking bread/);
+  assert.deepEqual(highlighted(), []);
+
+  shadow.querySelector('.buttons .primary').click();
+  assert.deepEqual(highlighted(), ['sourdough', 'first time']);
+
+  shadow.querySelector('.rehide').click();
+  assert.deepEqual(highlighted(), []);
+});
+
+test('keyword matches are highlighted too, right away on a labeled post', async (t) => {
+  const keyword = rule('rule-bread', 'sourdough', { match: 'keyword', action: 'label' });
+  const background = loadBackground();
+  const page = loadContent(TIMELINE, { background, sync: { filters: [keyword] } });
+  t.after(() => page.close());
+  const highlighted = stubHighlights(page.window);
+
+  const post = page.document.querySelector('article');
+  await page.waitFor(() => post.querySelector(':scope > .filter-overlay'));
+  assert.deepEqual(highlighted(), ['sourdough']);
+});
+
+test('highlights in posts the site has removed are let go', async () => {
+  const keyword = rule('rule-bread', 'sourdough', { match: 'keyword', action: 'label' });
+  const page = loadContent(TIMELINE, { background: loadBackground(), sync: { filters: [keyword] } });
+  const highlighted = stubHighlights(page.window);
+
+  const [post, ...others] = page.document.querySelectorAll('article');
+  await page.waitFor(() => post.querySelector(':scope > .filter-overlay'));
+  assert.deepEqual(highlighted(), ['sourdough']);
+
+  post.remove();
+  page.run('showSpanHighlights')(others[others.length - 1], ['harbour']);
+  assert.deepEqual(highlighted(), ['harbour']);
+  page.close();
+});
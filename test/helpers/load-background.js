@@ -0,0 +1,125 @@
+// Loads the background service worker into a Node vm context with just enough
+// of the chrome.* and fetch APIs stubbed out to run the analysis code.
+// Requests that would go to a model are handed to `respond`, which returns
+// the raw text the stubbed provider should answer with; embedding requests go
+// to `embed`, which returns one vector per input text. Streamed requests get
+// the same text back in small chunks, in the provider's streaming format.
+// Pass `fetch` to send requests somewhere real instead, such as the mock
+// server in mock-provider.js.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { wrapResponse, streamEvents } = require('./wire-format');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadBackground({
+  provider = 'gemini',
+  settings = {},
+  respond = () => '{"results": []}',
+  embed = () => { throw new Error('no embedding model'); },
+  fetch: realFetch = null
+} = {}) {
+  const storage = {
+    providerSettings: { provider, apiKeys: { [provider]: 'test-key' }, ...settings }
+  };
+  const requests = [];
+  const listeners = { message: [], connect: [] };
+
+  const context = {
+    console: { log() {}, error() {}, warn() {} },
+    setTimeout,
+    clearTimeout,
+    crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    btoa,
+    chrome: {
+      runtime: {
+        onInstalled: { addListener() {} },
+        onStartup: { addListener() {} },
+        onMessage: { addListener: listener => listeners.message.push(listener) },
+        onConnect: { addListener: listener => listeners.connect.push(listener) }
+      },
+      alarms: {
+        onAlarm: { addListener() {} },
+        create() {},
+        clear: async () => true
+      },
+      contextMenus: {
+        onClicked: { addListener() {} },
+        create() {},
+        removeAll: async () => {}
+      },
+      storage: {
+        onChanged: { addListener() {} },
+        local: {
+          get: async () => storage,
+          set: async values => Object.assign(storage, values),
+          remove: async keys => [].concat(keys).forEach(key => delete storage[key])
+        },
+        sync: {
+          get: async () => ({}),
+          set: async () => {}
+        }
+      },
+      tabs: { query: async () => [], sendMessage: async () => {} }
+    },
+    fetch: realFetch || (async (url, options) => {
+      const body = JSON.parse(options.body);
+      requests.push({ url, body });
+      if (url.endsWith('/api/embed')) {
+        const embeddings = await embed(body.input);
+        return { ok: true, status: 200, json: async () => ({ embeddings }) };
+      }
+      const text = await respond(body);
+      if (url.includes(':streamGenerateContent') || body.stream) {
+        return { ok: true, status: 200, body: streamBody(provider, text) };
+      }
+      return {
+        ok: true,
+        status: 200,
+        json: async () => wrapResponse(provider, text)
+      };
+    })
+  };
+  context.importScripts = (...files) => {
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+  };
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  return {
+    requests,
+    // Top-level functions are globals in the worker, so they're reachable by name
+    run: code => vm.runInContext(code, context),
+    call: (name, ...args) => context[name](...args),
+    // As if a content script sent it: resolves with what the handler answers
+    sendMessage: (message, sender) => new Promise(resolve => {
+      listeners.message.forEach(listener => listener(message, sender, resolve));
+    }),
+    connect: port => listeners.connect.forEach(listener => listener(port))
+  };
+}
+
+// Reads the streamed events back in byte slices that don't line up with
+// them, so lines have to be reassembled too
+function streamBody(provider, text, readSize = 37) {
+  const bytes = new TextEncoder().encode(streamEvents(provider, text).join(''));
+  let offset = 0;
+  return {
+    getReader: () => ({
+      read: async () => {
+        if (offset >= bytes.length) return { done: true, value: undefined };
+        const value = bytes.slice(offset, offset + readSize);
+        offset += readSize;
+        return { done: false, value };
+      }
+    })
+  };
+}
+
+module.exports = { loadBackground, ROOT };
@@ -0,0 +1,183 @@
+// Loads the content scripts, in manifest order, into a jsdom page built from
+// an HTML fixture, with chrome.* stubbed out.
+//
+// Pass a loadBackground() instance as `background` to wire the page to it the
+// way the browser would: runtime messages go to its handlers, and its tab
+// messages and verdict-port messages come back to the page. Without one,
+// `reply(message)` answers the page's messages. Everything crossing between
+// the two is copied through JSON, like Chrome's message serialization.
+//
+// jsdom has no layout and no IntersectionObserver, so a stand-in reports each
+// post as near the viewport unless `near(element)` says otherwise.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { ROOT } = require('./load-background');
+
+const TAB = { id: 1 };
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+function loadContent(html, {
+  url = 'https://x.com/home',
+  sync = {},
+  local = {},
+  background = null,
+  reply = defaultReply,
+  near = () => true
+} = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  const sender = { tab: { ...TAB, url }, frameId: 0 };
+
+  const messages = []; // everything the page sent to the background
+  const messageListeners = [];
+  const storageListeners = [];
+  const storage = { sync: { ...sync }, local: { ...local } };
+
+  const storageArea = area => ({
+    get: async () => copy(storage[area]),
+    set: async values => {
+      const changes = {};
+      Object.entries(copy(values)).forEach(([key, value]) => {
+        changes[key] = { oldValue: storage[area][key], newValue: value };
+        storage[area][key] = value;
+      });
+      storageListeners.forEach(listener => listener(changes, area));
+    }
+  });
+
+  window.chrome = {
+    runtime: {
+      sendMessage: async message => {
+        messages.push(copy(message));
+        const response = background
+          ? await background.sendMessage(copy(message), sender)
+          : await reply(copy(message));
+        return copy(response);
+      },
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+      connect: ({ name }) => connectPort(name)
+    },
+    storage: {
+      sync: storageArea('sync'),
+      local: storageArea('local'),
+      onChanged: { addListener: listener => storageListeners.push(listener) }
+    }
+  };
+
+  // A message from the background (or popup) to this tab
+  const tabMessage = message => new Promise(resolve => {
+    messageListeners.forEach(listener => listener(copy(message), {}, response => resolve(copy(response))));
+  });
+
+  // Each end delivers asynchronously to the other's listeners
+  function connectPort(name) {
+    const pagePort = createPort(name);
+    const workerPort = createPort(name, sender);
+    pagePort.peer = workerPort;
+    workerPort.peer = pagePort;
+    if (background) background.connect(workerPort);
+    return pagePort;
+  }
+
+  if (background) {
+    const tabs = background.run('chrome.tabs');
+    tabs.sendMessage = async (tabId, message) => tabMessage(message);
+    tabs.query = async () => [TAB];
+  }
+
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.elements = new Set();
+      observers.push(this);
+    }
+
+    observe(element) {
+      this.elements.add(element);
+      setTimeout(() => this.callback([{ target: element, isIntersecting: near(element) }]), 0);
+    }
+
+    unobserve(element) {
+      this.elements.delete(element);
+    }
+
+    disconnect() {
+      this.elements.clear();
+    }
+  };
+
+  // Quiet by default; set window.console.log back to see the content script's logging
+  window.console.log = () => {};
+
+  const [contentScripts] = manifest.content_scripts;
+  const vmContext = dom.getInternalVMContext();
+  contentScripts.js.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), vmContext, { filename: file });
+  });
+
+  return {
+    window,
+    document: window.document,
+    messages,
+    observers,
+    storage,
+    tabMessage,
+    // Top-level declarations of the content scripts are reachable by name
+    run: code => vm.runInContext(code, vmContext),
+    // Lets timers, messages and fetches run for a while
+    settle: (ms = 100) => new Promise(resolve => setTimeout(resolve, ms)),
+    // Waits until check() is truthy, or gives up after timeoutMs
+    waitFor: async (check, timeoutMs = 3000) => {
+      const started = Date.now();
+      while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the page');
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    },
+    close: () => window.close()
+  };
+}
+
+function createPort(name, sender) {
+  const messageListeners = [];
+  const disconnectListeners = [];
+  const port = {
+    name,
+    sender,
+    peer: null,
+    connected: true,
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+    postMessage(message) {
+      if (!port.connected) throw new Error('Attempting to use a disconnected port object');
+      const copied = JSON.parse(JSON.stringify(message));
+      setTimeout(() => port.peer.receive(copied), 0);
+    },
+    receive: message => messageListeners.forEach(listener => listener(message, port)),
+    disconnect() {
+      if (!port.connected) return;
+      port.connected = false;
+      port.peer.connected = false;
+      setTimeout(() => port.peer.dropped(), 0);
+    },
+    dropped: () => disconnectListeners.forEach(listener => listener(port))
+  };
+  return port;
+}
+
+// Enough for the page to start up and queue everything it sends
+function defaultReply(message) {
+  if (message.action === 'checkAPI') return { available: true, model: 'mock-model' };
+  if (message.action === 'filterBatch') {
+    return message.tweets.map(() => ({ pending: true, shouldFilter: false, filterVersion: message.filterVersion }));
+  }
+  return { success: true };
+}
+
+module.exports = { loadContent };
@@ -0,0 +1,74 @@
+// Loads the popup, with its scripts in the order popup.html lists them, into
+// a jsdom page with chrome.* stubbed out. `reply(message)` answers the
+// popup's runtime messages; chrome.storage.sync starts out as `sync`, and
+// `setSync(values)` can be swapped out to make saves fail.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { ROOT } = require('./load-background');
+
+const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8');
+const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+function loadPopup({ sync = {}, reply = defaultReply } = {}) {
+  const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+    url: 'chrome-extension://test/popup.html',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+  const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  const messages = [];
+  const storage = { sync: copy(sync) };
+  const popup = {
+    window,
+    document: window.document,
+    messages,
+    storage,
+    setSync: async values => Object.assign(storage.sync, copy(values)),
+    // Lets timers and storage calls run for a while
+    settle: (ms = 50) => new Promise(resolve => setTimeout(resolve, ms)),
+    close: () => window.close()
+  };
+
+  window.chrome = {
+    runtime: {
+      sendMessage: async message => {
+        messages.push(copy(message));
+        return copy(await reply(copy(message)));
+      },
+      getURL: file => `chrome-extension://test/${file}`,
+      openOptionsPage() {}
+    },
+    storage: {
+      sync: {
+        get: async () => copy(storage.sync),
+        set: values => popup.setSync(values)
+      },
+      onChanged: { addListener() {} }
+    },
+    tabs: { query: async () => [], sendMessage: async () => {}, create() {} }
+  };
+  window.crypto = crypto;
+  window.TextEncoder = TextEncoder;
+  window.confirm = () => true;
+  window.console.log = () => {};
+
+  const vmContext = dom.getInternalVMContext();
+  scripts.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), vmContext, { filename: file });
+  });
+  // jsdom fires DOMContentLoaded itself once the current task is done
+  if (window.document.readyState !== 'loading') window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return popup;
+}
+
+function defaultReply(message) {
+  if (message.action === 'getFocusMode') return { active: false };
+  if (message.action === 'checkAPI') return { available: true, model: 'mock-model' };
+  return { success: true };
+}
+
+module.exports = { loadPopup };
@@ -0,0 +1,97 @@
+// A local HTTP server standing in for the model APIs, so tests can go through
+// real fetch() calls, status codes and streamed bodies without the network.
+// It speaks enough of the Gemini, OpenAI and Ollama formats for generate()
+// and the status check. Each batch request (one carrying posts) takes the
+// next scripted reply:
+//   'some text' or { text }           the model's answer
+//   { status, retryAfter, error }     an HTTP error, with an optional Retry-After
+//   { raw }                           a body that isn't in the provider's format
+// Once the script runs out, `respond(request)` is asked for the reply;
+// request.posts holds the posts from the batch payload. Anything else, like
+// the status check, just gets "OK".
+
+const http = require('http');
+const { wrapResponse, streamEvents, providerForPath } = require('./wire-format');
+
+async function startMockProvider({ respond = () => '{"results": []}' } = {}) {
+  const script = [];
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, body: body ? JSON.parse(body) : null };
+    requests.push(request);
+
+    // Ollama's status check lists the pulled models
+    if (url.pathname === '/api/tags') {
+      sendJson(res, 200, { models: [{ name: 'llama3.2:latest' }] });
+      return;
+    }
+
+    const provider = providerForPath(url.pathname);
+    if (!provider) {
+      sendJson(res, 404, { error: `No mock for ${url.pathname}` });
+      return;
+    }
+
+    request.posts = batchPosts(provider, request.body);
+    const reply = !request.posts ? 'OK' : script.length > 0 ? script.shift() : await respond(request);
+    const { text, status, retryAfter, error, raw } = typeof reply === 'string' ? { text: reply } : reply;
+
+    if (status) {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...(retryAfter !== undefined ? { 'Retry-After': String(retryAfter) } : {})
+      });
+      res.end(JSON.stringify({ error: { message: error || `mock error ${status}` } }));
+    } else if (raw !== undefined) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(raw);
+    } else if (url.pathname.includes(':streamGenerateContent') || (request.body && request.body.stream)) {
+      res.writeHead(200, { 'Content-Type': provider === 'ollama' ? 'application/x-ndjson' : 'text/event-stream' });
+      for (const event of streamEvents(provider, text)) {
+        res.write(event);
+      }
+      res.end();
+    } else {
+      sendJson(res, 200, wrapResponse(provider, text));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    batches: () => requests.filter(request => request.posts),
+    script: (...replies) => script.push(...replies),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// The batch payload is the user message, apart from the instructions
+function batchPosts(provider, body) {
+  try {
+    let input;
+    if (provider === 'gemini') {
+      input = body.contents[0].parts[0].text;
+    } else {
+      const content = body.messages[body.messages.length - 1].content;
+      input = Array.isArray(content) ? content[0].text : content;
+    }
+    return JSON.parse(input).posts || null;
+  } catch (error) {
+    // Not a chat request, or not one with posts in it
+    return null;
+  }
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(value));
+}
+
+module.exports = { startMockProvider };
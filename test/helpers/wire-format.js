@@ -0,0 +1,50 @@
+// What each provider's API sends back, for the stubbed fetch in
+// load-background.js and the mock server in mock-provider.js.
+
+function wrapResponse(provider, text) {
+  switch (provider) {
+    case 'gemini':
+      return { candidates: [{ content: { parts: [{ text }] } }] };
+    case 'openai':
+      return { choices: [{ message: { content: text } }] };
+    case 'ollama':
+      return { message: { content: text } };
+    default:
+      throw new Error(`Unknown provider: ${provider}`);
+  }
+}
+
+// A streamed answer as the events the API would send, in pieces small enough
+// to cut result entries in half
+function streamEvents(provider, text, pieceSize = 16) {
+  const events = [];
+  for (let i = 0; i < text.length; i += pieceSize) {
+    const piece = text.slice(i, i + pieceSize);
+    switch (provider) {
+      case 'gemini':
+        events.push(`data: ${JSON.stringify(wrapResponse(provider, piece))}\r\n\r\n`);
+        break;
+      case 'openai':
+        events.push(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+        break;
+      case 'ollama':
+        events.push(`${JSON.stringify({ message: { content: piece }, done: false })}\n`);
+        break;
+      default:
+        throw new Error(`Unknown provider: ${provider}`);
+    }
+  }
+  if (provider === 'openai') events.push('data: [DONE]\n\n');
+  if (provider === 'ollama') events.push('{"done": true}\n');
+  return events;
+}
+
+// Which provider an API path belongs to
+function providerForPath(pathname) {
+  if (/:(streamG|g)enerateContent$/.test(pathname)) return 'gemini';
+  if (pathname.endsWith('/chat/completions')) return 'openai';
+  if (pathname.startsWith('/api/')) return 'ollama';
+  return null;
+}
+
+module.exports = { wrapResponse, streamEvents, providerForPath };
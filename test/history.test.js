@@ -0,0 +1,124 @@
+// Verdict and usage history behind the statistics dashboard.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const RULES = [{ id: 'rule-politics', description: 'Politics', threshold: 70 }];
+const TWEET = { id: '123', site: 'twitter', permalink: 'https://x.com/a/status/123', author: { handle: 'a' }, text: 'vote' };
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('verdicts are recorded with whether the rule threshold was met', async () => {
+  const background = loadBackground();
+  const history = background.run('verdictHistory');
+
+  await history.recordVerdict(TWEET, { shouldFilter: true, ruleId: 'rule-politics', confidence: '65%', method: 'm' }, RULES);
+  await history.recordVerdict({ ...TWEET, id: '456' }, { shouldFilter: true, ruleId: 'rule-politics', confidence: '90%', method: 'm' }, RULES);
+  const { verdicts } = plain(await history.get());
+
+  assert.equal(verdicts.length, 2);
+  assert.equal(verdicts[0].matched, true);
+  assert.equal(verdicts[0].filtered, false);
+  assert.equal(verdicts[1].filtered, true);
+  assert.equal(verdicts[1].rule, 'Politics');
+  assert.equal(verdicts[1].permalink, TWEET.permalink);
+});
+
+test('the same outcome for the same tweet is only counted once', async () => {
+  const background = loadBackground();
+  const history = background.run('verdictHistory');
+  const verdict = { shouldFilter: true, ruleId: 'rule-politics', confidence: '90%', method: 'm' };
+
+  await history.recordVerdict(TWEET, verdict, RULES);
+  await history.recordVerdict(TWEET, { ...verdict, cached: true }, RULES);
+  await history.recordVerdict(TWEET, { shouldFilter: false, ruleId: null, confidence: '5%', method: 'm' }, RULES);
+  await history.recordVerdict(TWEET, { pending: true }, RULES);
+
+  assert.equal((await history.get()).verdicts.length, 2);
+});
+
+test('entries older than the retention period are pruned', async () => {
+  const background = loadBackground();
+  const history = background.run('verdictHistory');
+  await history.recordVerdict(TWEET, { shouldFilter: false, confidence: '5%' }, RULES);
+
+  const data = await history.get();
+  data.verdicts[0].at = Date.now() - 10 * 24 * 60 * 60 * 1000;
+  assert.equal(await history.setRetention(7), 7);
+  assert.equal((await history.get()).verdicts.length, 0);
+});
+
+test('model calls are recorded, with estimated tokens when none are reported', async () => {
+  const background = loadBackground({
+    respond: () => JSON.stringify({ results: [
+      { tweetIndex: 1, shouldFilter: false, matchedRule: null, confidence: 5, imageTriggered: false, reasoning: '' }
+    ] })
+  });
+
+  await background.call('analyzeBatchWithAPI', [TWEET], RULES);
+  const { calls } = plain(await background.run('verdictHistory').get());
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].provider, 'gemini');
+  assert.equal(calls[0].tweets, 1);
+  assert.equal(calls[0].estimated, true);
+  assert.ok(calls[0].inputTokens > 0);
+  assert.equal(calls[0].error, null);
+});
+
+test('clearing removes verdicts and calls but keeps the retention setting', async () => {
+  const background = loadBackground();
+  const history = background.run('verdictHistory');
+  await history.setRetention(14);
+  await history.recordVerdict(TWEET, { shouldFilter: false, confidence: '5%' }, RULES);
+  await history.recordCall({ provider: 'gemini', model: 'm', tweets: 1 });
+
+  await history.clear();
+  const data = plain(await history.get());
+  assert.equal(data.verdicts.length, 0);
+  assert.equal(data.calls.length, 0);
+  assert.equal(data.retentionDays, 14);
+});
+
+test('only tweets still in the history are remembered as counted', async () => {
+  const background = loadBackground();
+  const history = background.run('verdictHistory');
+  const verdict = { shouldFilter: false, ruleId: null, confidence: '5%', method: 'm' };
+
+  await history.recordVerdict(TWEET, verdict, RULES);
+  await history.recordVerdict({ ...TWEET, id: '456' }, verdict, RULES);
+  history.data.verdicts[0].at = 0;
+  await history.get();
+
+  assert.deepEqual([...history.recorded.keys()], ['456']);
+});
+
+test('a storage failure still answers the dashboard', async () => {
+  const background = loadBackground();
+  background.run('chrome.storage.local').get = async () => { throw new Error('storage unavailable'); };
+
+  assert.equal((await background.sendMessage({ action: 'getHistory' })).error, 'storage unavailable');
+  assert.equal((await background.sendMessage({ action: 'clearHistory' })).error, 'storage unavailable');
+});
+
+test('a history that can\'t be written doesn\'t fail the batch', async () => {
+  const background = loadBackground({ respond: () => JSON.stringify({ results: [{ tweetIndex: 1, shouldFilter: true, matchedRule: 1, confidence: 90, imageTriggered: false, reasoning: '' }] }) });
+  const history = background.run('verdictHistory');
+  history.load = async () => { throw new Error('storage unavailable'); };
+  const rejections = [];
+  const onRejection = error => rejections.push(error);
+  process.on('unhandledRejection', onRejection);
+
+  const rules = [{ ...RULES[0], enabled: true, match: 'model' }, { id: 'rule-vote', description: 'vote', enabled: true, threshold: 60, match: 'keyword' }];
+  const [settled] = plain(await background.sendMessage({ action: 'filterBatch', tweets: [TWEET], filters: rules, filterVersion: 'v1' }));
+  const [queued] = plain(await background.sendMessage({ action: 'filterBatch', tweets: [{ ...TWEET, id: '456', text: 'a post' }], filters: rules, filterVersion: 'v1' }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  process.off('unhandledRejection', onRejection);
+
+  assert.equal(settled.shouldFilter, true);
+  assert.equal(queued.pending, true);
+  assert.deepEqual(rejections, []);
+});
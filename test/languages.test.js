@@ -0,0 +1,151 @@
+// Posts in other languages: the language the site tags them with goes to the
+// model, filters can be limited to some languages, and hidden posts can be
+// shown in English (background/gloss.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./helpers/load-background');
+const { loadContent } = require('./helpers/load-content');
+
+// The first post of the saved timeline, written in Spanish instead
+const TIMELINE = fs.readFileSync(path.join(__dirname, 'fixtures', 'x-timeline.html'), 'utf8')
+  .replace('<div lang="en" dir="auto" data-testid="tweetText" class="css-1jxf684 r-bcqeeo"><span>Made sourdough for the first time and it actually rose 🍞</span>',
+    '<div lang="es" dir="auto" data-testid="tweetText" class="css-1jxf684 r-bcqeeo"><span>Hice pan de masa madre por primera vez y subió 🍞</span>');
+const rule = (id, description, fields = {}) => ({ id, description, enabled: true, threshold: 60, action: 'hide', scope: 'all', match: 'model', schedule: 'always', ...fields });
+const ANYTHING = rule('rule-all', 'Anything');
+const SPANISH_ONLY = rule('rule-es', 'Anything', { languages: ['es'] });
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Filters every post it's sent, and translates on request
+function filterEverything(message) {
+  if (message.action === 'checkAPI') return { available: true, model: 'mock-model' };
+  if (message.action === 'filterBatch') {
+    return message.tweets.map(() => ({ shouldFilter: true, ruleId: message.filters[0].id, confidence: '90%', method: 'API Analysis', filterVersion: message.filterVersion }));
+  }
+  if (message.action === 'glossPost') return { gloss: `In English: ${message.tweet.text.length} characters` };
+  return { success: true };
+}
+
+test('the site\'s language tag is read as a primary subtag, and placeholders are ignored', () => {
+  const page = loadContent(TIMELINE);
+  const language = lang => {
+    const element = page.document.createElement('div');
+    element.innerHTML = `<span lang="${lang}">text</span>`;
+    return page.run('extractLanguage')(element);
+  };
+
+  assert.equal(language('pt-BR'), 'pt');
+  assert.equal(language('ES'), 'es');
+  assert.equal(language('und'), null);
+  assert.equal(language('zxx'), null);
+  assert.equal(language('qme'), null);
+
+  const [spanish, second] = page.run('detectSiteAdapter()').findPosts(page.document)
+    .map(article => page.run('detectSiteAdapter()').extractPost(article));
+  assert.equal(spanish.language, 'es');
+  assert.equal(second.language, 'en');
+  page.close();
+});
+
+test('the model is told each post\'s language', () => {
+  const background = loadBackground();
+  const { instructions, input } = background.call('buildBatchPrompt', [
+    { id: '1', text: 'Hice pan', language: 'es' },
+    { id: '2', text: 'A post' }
+  ], [ANYTHING]);
+  const posts = JSON.parse(input).posts;
+
+  assert.equal(posts[0].language, 'es');
+  assert.equal('language' in posts[1], false);
+  assert.match(instructions, /apply to posts in every language/);
+});
+
+test('a filter limited to Spanish only checks Spanish posts', async () => {
+  const page = loadContent(TIMELINE, { sync: { filters: [SPANISH_ONLY] }, reply: filterEverything });
+  const sent = () => page.messages.filter(message => message.action === 'filterBatch').flatMap(message => message.tweets);
+  await page.waitFor(() => sent().length > 0);
+  await page.settle();
+
+  assert.deepEqual(sent().map(tweet => [tweet.language, tweet.ruleIds]), [['es', ['rule-es']]]);
+  page.close();
+});
+
+test('lifting a filter\'s language limit checks the posts already on screen', async () => {
+  const page = loadContent(TIMELINE, { sync: { filters: [SPANISH_ONLY] }, reply: filterEverything });
+  const batches = () => page.messages.filter(message => message.action === 'filterBatch');
+  await page.waitFor(() => batches().length === 1);
+  await page.settle();
+
+  await page.tabMessage({ action: 'updateFilters', filters: [{ ...SPANISH_ONLY, languages: [] }] });
+  await page.waitFor(() => batches().length === 2);
+
+  await page.settle();
+  const rechecked = batches()[1].tweets;
+  assert.ok(rechecked.length > 0);
+  assert.ok(rechecked.every(tweet => tweet.language === 'en'));
+  page.close();
+});
+
+test('a filter\'s languages are kept as primary subtags', () => {
+  const background = loadBackground();
+  const normalize = fields => plain(background.call('normalizeRule', { description: 'Anything', ...fields }));
+
+  assert.deepEqual(normalize({ languages: 'es, PT-br es' }).languages, ['es', 'pt']);
+  assert.equal('languages' in normalize({ languages: '' }), false);
+  assert.equal(background.call('ruleAppliesTo', SPANISH_ONLY, { language: null }), false);
+  assert.equal(background.call('ruleAppliesTo', ANYTHING, { language: 'de' }), true);
+});
+
+test('a gloss is asked for once per post and logged as a call', async () => {
+  const bodies = [];
+  const background = loadBackground({
+    respond: body => {
+      bodies.push(JSON.stringify(body));
+      return '  I made sourdough for the first time  ';
+    }
+  });
+  const tweet = { id: 't1', text: 'Hice pan de masa madre por primera vez', language: 'es' };
+  const gloss = async message => plain(await background.sendMessage({ action: 'glossPost', ...message }));
+
+  assert.deepEqual(await gloss({ tweet }), { gloss: 'I made sourdough for the first time' });
+  assert.deepEqual(await gloss({ tweet }), { gloss: 'I made sourdough for the first time' });
+  assert.equal(bodies.length, 1);
+  assert.match(bodies[0], /Hice pan de masa madre/);
+  assert.match(bodies[0], /\\"language\\":\\"es\\"/);
+
+  const { calls } = plain(await background.run('verdictHistory').get());
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].tweets, 1);
+
+  assert.deepEqual(await gloss({ tweet: { id: 't2', text: '' } }), { error: 'Nothing to translate' });
+});
+
+test('hidden posts in another language can be shown in English', async () => {
+  const page = loadContent(TIMELINE, { sync: { filters: [ANYTHING] }, reply: filterEverything });
+  const articles = [...page.document.querySelectorAll('article[data-testid="tweet"]')];
+  await page.waitFor(() => articles.every(article => article.querySelector(':scope > .filter-overlay')));
+
+  const buttonsOf = article => [...article.querySelector(':scope > .filter-overlay').shadowRoot.querySelectorAll('button')];
+  assert.ok(articles.slice(1).every(article => !buttonsOf(article).some(button => button.textContent === 'Show in English')));
+
+  const shadow = articles[0].querySelector(':scope > .filter-overlay').shadowRoot;
+  const glossButton = buttonsOf(articles[0]).find(button => button.textContent === 'Show in English');
+  const panel = shadow.getElementById(glossButton.getAttribute('aria-controls'));
+  assert.equal(panel.hidden, true);
+
+  glossButton.click();
+  assert.equal(glossButton.textContent, 'Translating…');
+  await page.waitFor(() => !panel.hidden);
+  assert.match(panel.textContent, /In English: 49 characters/);
+  assert.equal(glossButton.textContent, 'Hide English');
+
+  glossButton.click();
+  assert.equal(panel.hidden, true);
+  assert.equal(page.messages.filter(message => message.action === 'glossPost').length, 1);
+  page.close();
+});
@@ -0,0 +1,97 @@
+// The popup's filter list, account lists and imports (popup.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup } = require('./helpers/load-popup');
+
+const rule = (id, description) => ({ id, description, enabled: true, threshold: 60, action: 'hide', scope: 'all', match: 'model', schedule: 'always' });
+const RULES = [rule('rule-a', 'A'), rule('rule-b', 'B'), rule('rule-c', 'C')];
+
+// jsdom has no DataTransfer, so the drop carries a stand-in
+function drag(popup, fromId, toId) {
+  const item = id => popup.document.querySelector(`#filterList [data-rule-id="${id}"]`);
+  const drop = new popup.window.Event('drop', { bubbles: true, cancelable: true });
+  drop.dataTransfer = { getData: () => fromId };
+  item(toId).dispatchEvent(drop);
+}
+
+const order = popup => popup.storage.sync.filters.map(saved => saved.description).join('');
+
+test('a dragged filter takes the place of the one it is dropped on, in both directions', async () => {
+  const popup = loadPopup({ sync: { filters: RULES } });
+  await popup.settle();
+
+  drag(popup, 'rule-a', 'rule-b');
+  await popup.settle();
+  assert.equal(order(popup), 'BAC');
+
+  drag(popup, 'rule-a', 'rule-c');
+  await popup.settle();
+  assert.equal(order(popup), 'BCA');
+
+  drag(popup, 'rule-a', 'rule-b');
+  await popup.settle();
+  assert.equal(order(popup), 'ABC');
+  popup.close();
+});
+
+test('account lists that would not fit in sync storage are refused with the reason', async () => {
+  const handles = prefix => Array.from({ length: 300 }, (_, i) => `${prefix}_account_${i}`);
+  const lists = [{ id: 'list-a', name: 'A', policy: 'deny', handles: handles('a') }];
+  const popup = loadPopup({ sync: { filters: [], authorLists: lists } });
+  const status = popup.document.getElementById('status');
+  await popup.settle();
+
+  // Well under the per-list limit, but too much next to the first list
+  popup.document.getElementById('listName').value = 'B';
+  popup.document.getElementById('listHandles').value = handles('b').join('\n');
+  popup.document.getElementById('addList').click();
+  await popup.settle();
+  assert.match(status.textContent, /Account lists are too big to sync \(\d+\.\d KB of 8 KB\)/);
+  assert.equal(popup.storage.sync.authorLists.length, 1);
+
+  // The browser's own refusal is shown too, and an edit isn't reported as saved
+  popup.setSync = async () => { throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded'); };
+  popup.document.querySelector('#authorListList .icon-btn').click();
+  popup.document.querySelector('#authorListList .editing .primary-btn').click();
+  await popup.settle();
+  assert.equal(status.textContent, 'Error saving list: QUOTA_BYTES_PER_ITEM quota exceeded');
+  popup.close();
+});
+
+test('an import saves its account lists and filters together, or not at all', async () => {
+  const lists = [{ id: 'list-friends', name: 'Friends', policy: 'allow', handles: ['alice'] }];
+  const scoped = { ...rule('rule-d', 'D'), scope: 'outsideList', listId: 'list-friends' };
+  const exported = JSON.stringify({ format: 'smart-social-filter', version: 1, type: 'config', rules: [scoped], authorLists: lists });
+  const popup = loadPopup({ sync: { filters: RULES } });
+  const status = popup.document.getElementById('status');
+  const importText = popup.document.getElementById('importText');
+  await popup.settle();
+
+  const saves = [];
+  popup.setSync = async values => {
+    saves.push(Object.keys(values).sort());
+    throw new Error('QUOTA_BYTES quota exceeded');
+  };
+  importText.value = exported;
+  popup.document.getElementById('importPasted').click();
+  await popup.settle();
+  assert.equal(status.textContent, 'Error importing filters: QUOTA_BYTES quota exceeded');
+  assert.deepEqual(saves, [['authorLists', 'filters']]);
+  assert.equal(order(popup), 'ABC');
+  assert.equal(popup.storage.sync.authorLists, undefined);
+  assert.ok(!popup.messages.some(message => message.action === 'importFeedback'));
+
+  saves.length = 0;
+  popup.setSync = async values => {
+    saves.push(Object.keys(values).sort());
+    Object.assign(popup.storage.sync, JSON.parse(JSON.stringify(values)));
+  };
+  popup.document.getElementById('importPasted').click();
+  await popup.settle();
+  assert.deepEqual(saves, [['authorLists', 'filters']]);
+  assert.equal(order(popup), 'ABCD');
+  assert.equal(popup.storage.sync.filters[3].listId, 'list-friends');
+  assert.equal(popup.storage.sync.authorLists[0].name, 'Friends');
+  popup.close();
+});
@@ -0,0 +1,130 @@
+// Post context: who wrote a post, what it quotes or replies to, and whether
+// it's an ad or a repost all reach the model, and rules can be scoped by it.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground } = require('./helpers/load-background');
+const { loadContent } = require('./helpers/load-content');
+
+const RULES = [{ id: 'rule-politics', description: 'Replies under posts about politics', match: 'model' }];
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function postsFor(background, tweets) {
+  const { instructions, input } = background.call('buildBatchPrompt', tweets, RULES, []);
+  return { instructions, posts: JSON.parse(input).posts };
+}
+
+test('context travels with each post in the payload', () => {
+  const background = loadBackground();
+  const { instructions, posts } = postsFor(background, [{
+    text: 'this is exactly right',
+    author: { handle: 'alice', displayName: 'Alice' },
+    parent: { author: { handle: 'senator', displayName: null }, text: 'Vote no on the budget bill' },
+    isReply: true
+  }, {
+    text: 'worth a read',
+    author: { handle: 'bob', displayName: null },
+    quoted: { author: { handle: 'news', displayName: 'News' }, text: 'Election results are in', media: [] },
+    isPromoted: true,
+    isRepost: true,
+    repostedBy: 'Carol'
+  }]);
+
+  assert.deepEqual(posts[0], {
+    tweetIndex: 1,
+    text: 'this is exactly right',
+    author: '@alice (Alice)',
+    inReplyTo: { author: '@senator', text: 'Vote no on the budget bill' },
+    isReply: true
+  });
+  assert.deepEqual(posts[1], {
+    tweetIndex: 2,
+    text: 'worth a read',
+    author: '@bob',
+    quotedPost: { author: '@news (News)', text: 'Election results are in' },
+    isAd: true,
+    repostedBy: 'Carol'
+  });
+  assert.ok(!instructions.includes('budget bill'));
+});
+
+test('a post without context stays small, and long context is cut short', () => {
+  const background = loadBackground();
+  const { posts } = postsFor(background, [
+    { text: 'plain post' },
+    { text: 'reply', parent: { author: null, text: 'x'.repeat(2000) } }
+  ]);
+
+  assert.deepEqual(posts[0], { tweetIndex: 1, text: 'plain post' });
+  assert.equal(posts[1].inReplyTo.text.length, background.run('MAX_CONTEXT_LENGTH'));
+});
+
+test('rules can be scoped to reposts', () => {
+  const background = loadBackground();
+  const rule = { scope: 'reposts' };
+
+  assert.equal(background.call('ruleAppliesTo', rule, { isRepost: true }), true);
+  assert.equal(background.call('ruleAppliesTo', rule, { isRepost: false }), false);
+});
+
+test('a reply seen under its parent gets a verdict of its own', async () => {
+  const background = loadBackground();
+  const key = tweet => background.call('verdictCacheKey', tweet, 'rules');
+
+  const alone = await key({ statusId: '7', text: 'agreed' });
+  const inThread = await key({ statusId: '7', text: 'agreed', parent: { text: 'Vote no' } });
+  assert.notEqual(alone, inThread);
+
+  // Without a status ID the context is part of the text key
+  const underPolitics = await key({ text: 'agreed', parent: { text: 'Vote no' } });
+  const underCats = await key({ text: 'agreed', parent: { text: 'Look at my cat' } });
+  assert.notEqual(underPolitics, underCats);
+  assert.equal(await key({ text: 'agreed' }), await key({ text: 'agreed' }));
+});
+
+test('the embedding pre-filter compares a reply together with its parent', async () => {
+  const background = loadBackground({
+    settings: { prefilter: { embeddings: true } },
+    embed: texts => texts.map(text => text.includes('budget') ? [1, 0] : text.startsWith('Replies') ? [1, 0] : [0, 1])
+  });
+
+  const decisions = plain(await background.call('prefilterBatch', [
+    { id: '1', text: 'this is exactly right', parent: { text: 'Vote no on the budget bill' }, hasImages: false },
+    { id: '2', text: 'this is exactly right', hasImages: false }
+  ], RULES));
+
+  assert.deepEqual(decisions[0].ruleIds, ['rule-politics']);
+  assert.equal(decisions[1].verdict.method, 'Local Embedding');
+});
+
+test('a post seen again under the post it replies to is checked again with it', async () => {
+  const conversation = fs.readFileSync(path.join(__dirname, 'fixtures', 'x-conversation.html'), 'utf8');
+  const rule = { ...RULES[0], enabled: true, threshold: 60, action: 'hide', scope: 'all', schedule: 'always' };
+  const page = loadContent(conversation, {
+    sync: { filters: [rule] },
+    reply: message => message.action === 'filterBatch'
+      ? message.tweets.map(() => ({ shouldFilter: false, ruleId: null, confidence: '90%', method: 'API Analysis', filterVersion: message.filterVersion }))
+      : { success: true }
+  });
+  const sent = () => page.messages.filter(message => message.action === 'filterBatch').flatMap(message => message.tweets);
+  await page.waitFor(() => sent().length === 4);
+  await page.settle();
+  assert.ok(sent().every(tweet => tweet.parent === null));
+
+  // Opening the conversation renders the same posts again, now in order
+  page.window.history.pushState({}, '', '/miachen/status/1790000000000000011');
+  page.document.querySelectorAll('article[data-testid="tweet"]').forEach(article => article.replaceWith(article.cloneNode(true)));
+  await page.waitFor(() => sent().length > 4);
+  await page.settle();
+
+  const rechecked = sent().slice(4);
+  assert.equal(rechecked.length, 3); // the first post still replies to nothing on the page
+  assert.equal(rechecked[0].parent.text, 'The budget bill passed the Senate 51 to 49');
+  assert.ok(rechecked.every(tweet => tweet.isReply));
+  page.close();
+});
@@ -0,0 +1,123 @@
+// Local pre-filter tier: keyword, regex and muted-account rules, and the
+// optional embedding classifier, settle tweets before the model is asked.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const RULES = [
+  { id: 'rule-crypto', description: 'crypto, bitcoin, NFT drop', match: 'keyword' },
+  { id: 'rule-giveaway', description: '/\\bgive\\s*away\\b/i', match: 'regex' },
+  { id: 'rule-muted', description: '@NoisyAccount, spammer', match: 'author' },
+  { id: 'rule-politics', description: 'Politics', match: 'model' }
+];
+
+function tweet(text, fields = {}) {
+  return { id: text, text, author: { handle: 'someone' }, hasImages: false, ...fields };
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('keyword rules match whole words, case-insensitively', async () => {
+  const background = loadBackground();
+  const decisions = plain(await background.call('prefilterBatch', [
+    tweet('Buying more Bitcoin today'),
+    tweet('cryptography lecture notes'),
+    tweet('new nft   DROP tonight')
+  ], RULES));
+
+  assert.equal(decisions[0].verdict.ruleId, 'rule-crypto');
+  assert.equal(decisions[0].verdict.method, 'Local Keyword Match');
+  assert.equal(decisions[0].verdict.details, 'Matched "Bitcoin"');
+  assert.ok(!decisions[1].verdict);
+  assert.equal(decisions[2].verdict.ruleId, 'rule-crypto');
+});
+
+test('regex rules and quoted text', async () => {
+  const background = loadBackground();
+  const decisions = plain(await background.call('prefilterBatch', [
+    tweet('look at this', { quoted: { text: 'Huge GIVE AWAY starting now' } })
+  ], RULES));
+
+  assert.equal(decisions[0].verdict.ruleId, 'rule-giveaway');
+  assert.equal(decisions[0].verdict.method, 'Local Regex Match');
+});
+
+test('muted accounts are matched by handle', async () => {
+  const background = loadBackground();
+  const decisions = plain(await background.call('prefilterBatch', [
+    tweet('hello', { author: { handle: 'noisyaccount' } }),
+    tweet('hello', { author: { handle: 'Spammer' } }),
+    tweet('hello', { author: { handle: 'friend' } })
+  ], RULES));
+
+  assert.equal(decisions[0].verdict.method, 'Muted Account');
+  assert.equal(decisions[1].verdict.details, '@spammer is muted');
+  assert.deepEqual(decisions[2].ruleIds, ['rule-politics']);
+});
+
+test('an invalid pattern never matches', async () => {
+  const background = loadBackground();
+  const decisions = plain(await background.call('prefilterBatch', [tweet('(((')], [
+    { id: 'rule-broken', description: '(((', match: 'regex' }
+  ]));
+
+  assert.equal(decisions[0].verdict.shouldFilter, false);
+  assert.equal(decisions[0].verdict.method, 'Local Rules');
+});
+
+test('scoped-away local rules are not applied', async () => {
+  const background = loadBackground();
+  const decisions = plain(await background.call('prefilterBatch', [
+    tweet('bitcoin', { ruleIds: ['rule-politics'] })
+  ], RULES));
+
+  assert.deepEqual(decisions[0].ruleIds, ['rule-politics']);
+});
+
+test('the embedding classifier settles tweets unrelated to every model rule', async () => {
+  const vectors = {
+    Politics: [1, 0],
+    'Vote in the election': [0.9, 0.1],
+    'My cat is asleep': [0, 1]
+  };
+  const background = loadBackground({
+    settings: { prefilter: { embeddings: true } },
+    embed: texts => texts.map(text => vectors[text])
+  });
+
+  const decisions = plain(await background.call('prefilterBatch', [
+    tweet('Vote in the election'),
+    tweet('My cat is asleep'),
+    tweet('My cat is asleep', { hasImages: true })
+  ], RULES));
+
+  assert.deepEqual(decisions[0].ruleIds, ['rule-politics']);
+  assert.equal(decisions[1].verdict.method, 'Local Embedding');
+  assert.equal(decisions[1].verdict.shouldFilter, false);
+  // Pictures can't be judged from text embeddings
+  assert.deepEqual(decisions[2].ruleIds, ['rule-politics']);
+  assert.ok(background.requests[0].url.endsWith('/api/embed'));
+});
+
+test('an unavailable embedding model leaves everything for the model', async () => {
+  const background = loadBackground({ settings: { prefilter: { embeddings: true } } });
+  const decisions = plain(await background.call('prefilterBatch', [tweet('My cat is asleep')], RULES));
+
+  assert.deepEqual(decisions[0].ruleIds, ['rule-politics']);
+});
+
+test('filterBatch answers locally settled tweets without calling the model', async () => {
+  const background = loadBackground();
+  const results = plain(await background.call('filterBatch', [
+    tweet('bitcoin to the moon'),
+    tweet('hello', { author: { handle: 'spammer' } })
+  ], RULES, { tab: { id: 1 }, frameId: 0 }));
+
+  assert.equal(results[0].method, 'Local Keyword Match');
+  assert.equal(results[1].method, 'Muted Account');
+  assert.ok(results.every(result => !result.pending));
+  assert.equal(background.requests.length, 0);
+});
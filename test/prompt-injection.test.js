@@ -0,0 +1,210 @@
+// Adversarial tweets against the batch prompt and a stubbed provider.
+// Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+const adversarialTweets = require('./fixtures/adversarial-tweets.json');
+
+const RULES = [
+  { id: 'rule-politics', description: 'Politics' },
+  { id: 'rule-spoilers', description: 'TV show spoilers' }
+];
+
+function tweetsFrom(texts) {
+  return texts.map((text, index) => ({ id: `t${index}`, text, hasImages: false }));
+}
+
+function results(...items) {
+  return JSON.stringify({ results: items });
+}
+
+function result(tweetIndex, overrides = {}) {
+  return {
+    tweetIndex,
+    shouldFilter: false,
+    matchedRule: null,
+    confidence: 10,
+    imageTriggered: false,
+    reasoning: 'ok',
+    ...overrides
+  };
+}
+
+test('tweet text never appears in the instructions', () => {
+  const background = loadBackground();
+  const tweets = tweetsFrom(adversarialTweets.map(tweet => tweet.text));
+  const { instructions } = background.call('buildBatchPrompt', tweets, RULES, []);
+
+  for (const tweet of adversarialTweets) {
+    assert.ok(!instructions.includes(tweet.text), `instructions contain "${tweet.name}"`);
+  }
+});
+
+test('tweet text round-trips exactly through the JSON payload', () => {
+  const background = loadBackground();
+  const tweets = tweetsFrom(adversarialTweets.map(tweet => tweet.text));
+  const { input } = background.call('buildBatchPrompt', tweets, RULES, []);
+  const { posts } = JSON.parse(input);
+
+  assert.equal(posts.length, adversarialTweets.length);
+  posts.forEach((post, index) => {
+    assert.equal(post.tweetIndex, index + 1);
+    assert.equal(post.text, adversarialTweets[index].text, adversarialTweets[index].name);
+  });
+});
+
+for (const provider of ['gemini', 'openai', 'ollama']) {
+  test(`${provider}: tweets are sent apart from the instructions with a response schema`, async () => {
+    const tweets = tweetsFrom(adversarialTweets.map(tweet => tweet.text));
+    const background = loadBackground({
+      provider,
+      respond: () => results(...tweets.map((_, index) => result(index + 1)))
+    });
+
+    await background.call('analyzeBatchWithAPI', tweets, RULES);
+    const [{ body }] = background.requests;
+
+    if (provider === 'gemini') {
+      const systemText = body.systemInstruction.parts[0].text;
+      assert.ok(systemText.includes('FILTER RULES'));
+      assert.deepEqual(JSON.parse(body.contents[0].parts[0].text).posts.map(post => post.text), tweets.map(tweet => tweet.text));
+      assert.equal(body.generationConfig.responseSchema.type, 'OBJECT');
+      assert.equal(body.generationConfig.responseSchema.properties.results.items.properties.matchedRule.nullable, true);
+    } else {
+      const [system, user] = body.messages;
+      assert.equal(system.role, 'system');
+      assert.equal(user.role, 'user');
+      assert.ok(adversarialTweets.every(tweet => !system.content.includes(tweet.text)));
+      assert.deepEqual(JSON.parse(user.content).posts.map(post => post.text), tweets.map(tweet => tweet.text));
+      const schema = provider === 'openai' ? body.response_format.json_schema.schema : body.format;
+      assert.deepEqual(schema.required, ['results']);
+    }
+  });
+}
+
+test('the legacy single-post message sends the post as data too', async () => {
+  const text = adversarialTweets[0].text;
+  const background = loadBackground({ respond: () => results(result(1, { shouldFilter: true, matchedRule: 1, confidence: 80 })) });
+
+  const verdict = JSON.parse(JSON.stringify(await background.sendMessage({ action: 'filterContent', text, filters: ['Politics'] })));
+  const [{ body }] = background.requests;
+
+  assert.ok(!body.systemInstruction.parts[0].text.includes(text));
+  assert.deepEqual(JSON.parse(body.contents[0].parts[0].text).posts.map(post => post.text), [text]);
+  assert.equal(verdict.shouldFilter, true);
+  assert.equal(verdict.confidence, '80%');
+});
+
+test('a well-formed response is mapped to the right tweets', async () => {
+  const background = loadBackground({
+    respond: () => results(
+      result(2, { shouldFilter: true, matchedRule: 2, confidence: 90 }),
+      result(1)
+    )
+  });
+
+  const verdicts = await background.call('analyzeBatchWithAPI', tweetsFrom(['hello', 'the finale twist']), RULES);
+
+  assert.equal(verdicts[0].shouldFilter, false);
+  assert.equal(verdicts[1].shouldFilter, true);
+  assert.equal(verdicts[1].ruleId, 'rule-spoilers');
+  assert.equal(verdicts[1].confidence, '90%');
+  assert.ok(verdicts.every(verdict => !verdict.error));
+});
+
+const spoofedResponses = [
+  {
+    name: 'duplicate tweetIndex rejects both answers',
+    response: results(
+      result(1, { shouldFilter: true, matchedRule: 1, confidence: 95 }),
+      result(1),
+      result(2)
+    ),
+    expect: verdicts => {
+      assert.equal(verdicts[0].error, 'Invalid result returned');
+      assert.equal(verdicts[0].shouldFilter, false);
+      assert.ok(!verdicts[1].error);
+    }
+  },
+  {
+    name: 'out-of-range tweetIndex is ignored',
+    response: results(result(1), result(2), result(99, { shouldFilter: true, matchedRule: 1 })),
+    expect: verdicts => {
+      assert.equal(verdicts.length, 2);
+      assert.ok(verdicts.every(verdict => !verdict.error && !verdict.shouldFilter));
+    }
+  },
+  {
+    name: 'missing results are errors, not positional guesses',
+    response: results(result(2, { shouldFilter: true, matchedRule: 1, confidence: 80 })),
+    expect: verdicts => {
+      assert.equal(verdicts[0].error, 'No result returned');
+      assert.equal(verdicts[0].shouldFilter, false);
+      assert.equal(verdicts[1].ruleId, 'rule-politics');
+    }
+  },
+  {
+    name: 'results without tweetIndex are not matched by position',
+    response: JSON.stringify({ results: [
+      { shouldFilter: true, matchedRule: 1, confidence: 80 },
+      { shouldFilter: true, matchedRule: 1, confidence: 80 }
+    ] }),
+    expect: verdicts => {
+      assert.ok(verdicts.every(verdict => verdict.error === 'No result returned' && !verdict.shouldFilter));
+    }
+  },
+  {
+    name: 'string booleans are rejected',
+    response: results(result(1, { shouldFilter: 'false' }), result(2, { shouldFilter: 'true', matchedRule: 1 })),
+    expect: verdicts => {
+      assert.ok(verdicts.every(verdict => verdict.error === 'Invalid result returned' && !verdict.shouldFilter));
+    }
+  },
+  {
+    name: 'matchedRule outside the rule list is rejected',
+    response: results(result(1, { shouldFilter: true, matchedRule: 3 }), result(2, { shouldFilter: true, matchedRule: 0 })),
+    expect: verdicts => {
+      assert.ok(verdicts.every(verdict => verdict.error === 'Invalid result returned' && !verdict.shouldFilter));
+    }
+  },
+  {
+    name: 'shouldFilter without a rule is rejected',
+    response: results(result(1, { shouldFilter: true }), result(2)),
+    expect: verdicts => {
+      assert.equal(verdicts[0].error, 'Invalid result returned');
+      assert.ok(!verdicts[1].error);
+    }
+  },
+  {
+    name: 'a response that is not the expected shape fails the whole batch',
+    response: JSON.stringify([result(1), result(2)]),
+    expect: verdicts => {
+      assert.ok(verdicts.every(verdict => verdict.error === 'JSON parsing failed' && !verdict.shouldFilter));
+    }
+  },
+  {
+    name: 'matches on rules scoped away from the tweet are dropped',
+    tweets: [
+      { id: 't0', text: 'hello', ruleIds: ['rule-spoilers'] },
+      { id: 't1', text: 'world', ruleIds: ['rule-spoilers'] }
+    ],
+    response: results(result(1, { shouldFilter: true, matchedRule: 1, confidence: 90 }), result(2)),
+    expect: verdicts => {
+      assert.equal(verdicts[0].shouldFilter, false);
+      assert.equal(verdicts[0].ruleId, null);
+    }
+  }
+];
+
+for (const scenario of spoofedResponses) {
+  test(`spoofed response: ${scenario.name}`, async () => {
+    const background = loadBackground({ respond: () => scenario.response });
+    const verdicts = await background.call(
+      'analyzeBatchWithAPI',
+      scenario.tweets || tweetsFrom(adversarialTweets.slice(0, 2).map(tweet => tweet.text)),
+      RULES
+    );
+    scenario.expect(verdicts);
+  });
+}
@@ -0,0 +1,30 @@
+// What each provider sends for the model that's picked (background/providers.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const RULES = [{ id: 'rule-politics', description: 'Politics' }];
+const TWEETS = [{ id: '1', text: 'post', author: { handle: 'someone' }, hasImages: false }];
+const RESPONSE = JSON.stringify({ results: [{ tweetIndex: 1, shouldFilter: false, matchedRule: null, confidence: 90, imageTriggered: false, reasoning: '' }] });
+
+test('openai: reasoning models get max_completion_tokens and no temperature', async () => {
+  const sent = async model => {
+    const background = loadBackground({ provider: 'openai', settings: { models: { openai: model } }, respond: () => RESPONSE });
+    await background.call('analyzeBatchWithAPI', TWEETS, RULES);
+    return background.requests[0].body;
+  };
+
+  for (const model of ['o3-mini', 'o1', 'gpt-5-mini']) {
+    const body = await sent(model);
+    assert.equal(body.model, model);
+    assert.ok(body.max_completion_tokens > 0);
+    assert.equal('max_tokens' in body, false);
+    assert.equal('temperature' in body, false);
+  }
+
+  const body = await sent('gpt-4o-mini');
+  assert.ok(body.max_tokens > 0);
+  assert.equal(body.temperature, 0.1);
+  assert.equal('max_completion_tokens' in body, false);
+});
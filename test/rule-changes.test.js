@@ -0,0 +1,88 @@
+// Rule changes: verdicts are stamped with the filter-set version they were
+// asked for, and re-checking a tweet against a new rule leaves the verdicts
+// for the unchanged ones in the cache.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const POLITICS = { id: 'rule-politics', description: 'Politics', enabled: true, threshold: 60, match: 'model' };
+const SPOILERS = { id: 'rule-spoilers', description: 'TV show spoilers', enabled: true, threshold: 60, match: 'model' };
+const SENDER = { tab: { id: 3 }, frameId: 0 };
+const NO_MATCH = JSON.stringify({ results: [
+  { tweetIndex: 1, shouldFilter: false, matchedRule: null, confidence: 5, imageTriggered: false, reasoning: '' }
+] });
+
+function tweet(ruleIds) {
+  return { id: '42', text: 'the finale tonight', author: { handle: 'someone' }, hasImages: false, ruleIds };
+}
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Queued verdicts are pushed to the tab in a 'verdicts' message
+function captureDeliveries(background) {
+  const delivered = [];
+  background.run('chrome.tabs').sendMessage = async (tabId, message) => {
+    if (message.action === 'verdicts') delivered.push(...plain(message.verdicts));
+  };
+  return async () => {
+    for (let i = 0; i < 50 && delivered.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return delivered.splice(0);
+  };
+}
+
+test('what the model sees and which posts a rule reaches change the version', () => {
+  const background = loadBackground();
+  const version = rules => background.call('filterSetVersion', rules);
+
+  const base = version([POLITICS, SPOILERS]);
+  assert.equal(version([{ ...POLITICS, threshold: 90, action: 'blur', schedule: 'nights' }, SPOILERS]), base);
+  assert.notEqual(version([{ ...POLITICS, description: 'US politics' }, SPOILERS]), base);
+  assert.notEqual(version([{ ...POLITICS, match: 'keyword' }, SPOILERS]), base);
+  assert.notEqual(version([POLITICS]), base);
+
+  // Reach isn't part of the fingerprint, so verdicts for the rule stay good
+  const scoped = { ...POLITICS, scope: 'outsideList', listId: 'list-news' };
+  assert.notEqual(version([{ ...POLITICS, scope: 'replies' }, SPOILERS]), base);
+  assert.notEqual(version([scoped, SPOILERS]), version([{ ...scoped, listId: 'list-friends' }, SPOILERS]));
+  assert.notEqual(version([{ ...POLITICS, languages: ['es'] }, SPOILERS]), version([{ ...POLITICS, languages: ['es', 'pt'] }, SPOILERS]));
+  assert.equal(background.call('ruleFingerprint', { ...POLITICS, scope: 'replies' }), background.call('ruleFingerprint', POLITICS));
+});
+
+test('verdicts come back stamped with the version they were asked under', async () => {
+  const background = loadBackground({ respond: () => NO_MATCH });
+  const nextDelivery = captureDeliveries(background);
+
+  const [pending] = plain(await background.call('filterBatch', [tweet(['rule-politics'])], [POLITICS], SENDER, 'v1'));
+  assert.equal(pending.pending, true);
+  assert.equal(pending.filterVersion, 'v1');
+
+  const [delivered] = await nextDelivery();
+  assert.equal(delivered.id, '42');
+  assert.equal(delivered.verdict.filterVersion, 'v1');
+  assert.equal(delivered.verdict.shouldFilter, false);
+});
+
+test('checking against an added rule leaves the cached verdict for the old one', async () => {
+  const background = loadBackground({ respond: () => NO_MATCH });
+  const nextDelivery = captureDeliveries(background);
+
+  await background.call('filterBatch', [tweet(['rule-politics'])], [POLITICS], SENDER, 'v1');
+  await nextDelivery();
+  assert.equal(background.requests.length, 1);
+
+  // The tab sends only the new rule for a tweet it has already checked
+  await background.call('filterBatch', [tweet(['rule-spoilers'])], [POLITICS, SPOILERS], SENDER, 'v2');
+  await nextDelivery();
+  assert.equal(background.requests.length, 2);
+
+  // Switching back to the old set is answered from the cache
+  const [cached] = plain(await background.call('filterBatch', [tweet(['rule-politics'])], [POLITICS, SPOILERS], SENDER, 'v3'));
+  assert.equal(cached.cached, true);
+  assert.equal(cached.filterVersion, 'v3');
+  assert.equal(background.requests.length, 2);
+});
@@ -0,0 +1,74 @@
+// Request scheduler: tweets that scrolled far from the viewport wait behind
+// the ones near it.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const RULES = [{ id: 'rule-politics', description: 'Politics', threshold: 60 }];
+
+function tweet(id) {
+  return { id, text: `post ${id}`, hasImages: false };
+}
+
+function createScheduler(options) {
+  const background = loadBackground();
+  const batches = [];
+  const RequestScheduler = background.run('RequestScheduler');
+  const scheduler = new RequestScheduler(async tweets => {
+    batches.push(JSON.parse(JSON.stringify(tweets.map(t => t.id))));
+    return tweets.map(() => ({ shouldFilter: false }));
+  }, { collectDelayMs: 10, maxConcurrent: 1, ...options });
+  return { background, scheduler, batches };
+}
+
+test('far-away tweets are sent after the near ones, in their own batch', async () => {
+  const { background, scheduler, batches } = createScheduler({ maxBatchSize: 10 });
+  const done = ['a', 'b', 'c', 'd'].map(id => scheduler.enqueue(`key-${id}`, tweet(id), RULES));
+  scheduler.setPriority(['a', 'c'], background.run('PRIORITY_FAR'));
+
+  await Promise.all(done);
+  assert.deepEqual(batches, [['b', 'd'], ['a', 'c']]);
+});
+
+test('a tweet scrolled back near the viewport regains its place', async () => {
+  const { background, scheduler, batches } = createScheduler({ maxBatchSize: 1 });
+  const done = ['a', 'b', 'c'].map(id => scheduler.enqueue(`key-${id}`, tweet(id), RULES));
+  scheduler.setPriority(['a', 'b'], background.run('PRIORITY_FAR'));
+  scheduler.setPriority(['a'], background.run('PRIORITY_NEAR'));
+
+  await Promise.all(done);
+  assert.deepEqual(batches, [['a'], ['c'], ['b']]);
+});
+
+test('single calls share the budget and are retried like batches', async () => {
+  const { scheduler, batches } = createScheduler({ requestsPerMinute: 1, baseBackoffMs: 10 });
+  await scheduler.enqueue('key-a', tweet('a'), RULES);
+
+  let attempts = 0;
+  const call = scheduler.enqueueCall('gloss:a', 100, async () => {
+    if (++attempts === 1) throw Object.assign(new Error('Too many requests'), { status: 429 });
+    return 'translated';
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(attempts, 0);
+
+  // Let the budget window pass
+  scheduler.usage = [];
+  scheduler.wake(0);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  scheduler.usage = [];
+  scheduler.wake(0);
+  assert.equal(await call, 'translated');
+  assert.equal(attempts, 2);
+  assert.deepEqual(batches, [['a']]);
+});
+
+test('the token estimate follows the prompt the batch is sent with', () => {
+  const background = loadBackground();
+  const tweets = [tweet('a'), { ...tweet('b'), text: 'x'.repeat(400) }];
+  const { instructions, input } = background.call('buildBatchPrompt', tweets, RULES);
+  const promptTokens = Math.ceil((instructions.length + input.length) / 4);
+
+  assert.equal(background.call('estimateBatchTokens', tweets, RULES), promptTokens + 300 + 2 * 150);
+});
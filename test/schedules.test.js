@@ -0,0 +1,71 @@
+// Rule schedules and focus mode: which rules are active when, and the alarms
+// that tell the tabs to look again.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const background = loadBackground();
+const ruleIsActive = (schedule, now, focus = false) =>
+  background.call('ruleIsActive', { enabled: true, schedule }, { now, focus });
+
+// Local time, so the windows line up whatever the machine's time zone
+const MONDAY = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+const SATURDAY = (hours, minutes = 0) => new Date(2026, 9, 24, hours, minutes);
+const SUNDAY = (hours, minutes = 0) => new Date(2026, 9, 25, hours, minutes);
+
+test('work hours are weekdays from 9 to 5', () => {
+  assert.equal(ruleIsActive('workHours', MONDAY(9)), true);
+  assert.equal(ruleIsActive('workHours', MONDAY(16, 59)), true);
+  assert.equal(ruleIsActive('workHours', MONDAY(17)), false);
+  assert.equal(ruleIsActive('workHours', MONDAY(8, 59)), false);
+  assert.equal(ruleIsActive('workHours', SATURDAY(10)), false);
+});
+
+test('nights run past midnight and weekends cover the whole day', () => {
+  assert.equal(ruleIsActive('nights', MONDAY(23)), true);
+  assert.equal(ruleIsActive('nights', MONDAY(5, 59)), true);
+  assert.equal(ruleIsActive('nights', MONDAY(6)), false);
+  assert.equal(ruleIsActive('weekends', SATURDAY(0)), true);
+  assert.equal(ruleIsActive('weekends', SUNDAY(23, 59)), true);
+  assert.equal(ruleIsActive('weekends', MONDAY(0)), false);
+});
+
+test('focus rules only apply in focus mode, and disabled rules never do', () => {
+  assert.equal(ruleIsActive('focus', MONDAY(12)), false);
+  assert.equal(ruleIsActive('focus', MONDAY(12), true), true);
+  assert.equal(ruleIsActive('always', MONDAY(12)), true);
+  assert.equal(background.call('ruleIsActive', { enabled: false, schedule: 'always' }), false);
+});
+
+test('the next switch is the nearest boundary of any scheduled rule', () => {
+  const next = (rules, now) => {
+    const date = background.call('nextScheduleChange', rules.map(schedule => ({ enabled: true, schedule })), now);
+    return date && date.getTime();
+  };
+
+  assert.equal(next(['always', 'focus'], MONDAY(12)), null);
+  assert.equal(next(['workHours'], MONDAY(12)), MONDAY(17).getTime());
+  assert.equal(next(['workHours', 'nights'], MONDAY(18)), MONDAY(22).getTime());
+  assert.equal(next(['nights'], MONDAY(23)), new Date(2026, 9, 20, 6).getTime());
+  assert.equal(next(['weekends'], SATURDAY(12)), SUNDAY(0).getTime());
+});
+
+test('focus mode is stored, given an end alarm and announced to open tabs', async () => {
+  const focus = loadBackground();
+  const alarms = [];
+  const messages = [];
+  focus.run('chrome.alarms').create = (name, info) => alarms.push({ name, ...info });
+  focus.run('chrome.tabs').query = async () => [{ id: 7 }];
+  focus.run('chrome.tabs').sendMessage = async (tabId, message) => messages.push({ tabId, ...message });
+
+  const started = await focus.call('startFocusMode', 30);
+  assert.equal(started.active, true);
+  assert.ok(Math.abs(started.until - (Date.now() + 30 * 60 * 1000)) < 1000);
+  assert.deepEqual(alarms, [{ name: 'focus-end', when: started.until }]);
+  assert.deepEqual(messages, [{ tabId: 7, action: 'contextChanged', focusUntil: started.until }]);
+
+  const stopped = await focus.call('stopFocusMode');
+  assert.equal(stopped.active, false);
+  assert.equal(messages[1].focusUntil, 0);
+});
@@ -0,0 +1,53 @@
+// The manifest has to be kept in step with the sites in shared/sites.js by
+// hand, since it can't import anything; these checks catch the drift.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT } = require('./helpers/load-background');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const context = vm.createContext({ URL });
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'shared/sites.js'), 'utf8'), context);
+const sites = JSON.parse(JSON.stringify(vm.runInContext('SITES', context)));
+
+test('content scripts run on exactly the registered sites', () => {
+  const [contentScripts] = manifest.content_scripts;
+  assert.deepEqual([...contentScripts.matches].sort(), sites.flatMap(site => site.matches).sort());
+});
+
+test('every site and its media hosts have host permissions', () => {
+  for (const site of sites) {
+    for (const pattern of [...site.matches, ...site.mediaHosts]) {
+      assert.ok(manifest.host_permissions.includes(pattern), `${site.id}: ${pattern}`);
+    }
+  }
+});
+
+test('every site has an adapter loaded after the registry', () => {
+  const scripts = manifest.content_scripts[0].js;
+  const registry = scripts.indexOf('content/sites/registry.js');
+  assert.ok(registry !== -1);
+
+  for (const site of sites) {
+    const adapter = `content/sites/${site.id}.js`;
+    assert.ok(scripts.indexOf(adapter) > registry, `${adapter} is not loaded after the registry`);
+    const source = fs.readFileSync(path.join(ROOT, adapter), 'utf8');
+    assert.match(source, new RegExp(`registerSiteAdapter\\(\\{\\s*id: '${site.id}'`));
+  }
+});
+
+test('siteForUrl matches hosts exactly', () => {
+  const siteForUrl = url => {
+    const site = context.siteForUrl(url);
+    return site && site.id;
+  };
+  assert.equal(siteForUrl('https://x.com/home'), 'twitter');
+  assert.equal(siteForUrl('https://old.reddit.com/r/all'), 'reddit');
+  assert.equal(siteForUrl('https://bsky.app/profile/someone'), 'bluesky');
+  assert.equal(siteForUrl('https://fosstodon.org/@someone'), 'mastodon');
+  assert.equal(siteForUrl('https://notx.com/'), null);
+  assert.equal(siteForUrl('chrome://extensions'), null);
+});
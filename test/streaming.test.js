@@ -0,0 +1,113 @@
+// Streamed responses: each tweet's verdict is used as soon as its entry in
+// the response is complete, and the whole response still has the last word.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const POLITICS = { id: 'rule-politics', description: 'Politics', enabled: true, threshold: 60, match: 'model' };
+const SENDER = { tab: { id: 3 }, frameId: 0 };
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function tweets(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(i + 1), text: `post ${i + 1}`, author: { handle: 'someone' }, hasImages: false
+  }));
+}
+
+function result(tweetIndex, shouldFilter, reasoning = '') {
+  return { tweetIndex, shouldFilter, matchedRule: shouldFilter ? 1 : null, confidence: 90, imageTriggered: false, reasoning };
+}
+
+test('entries are picked out as soon as they close, whatever is in their strings', () => {
+  const background = loadBackground();
+  const stream = new (background.run('BatchResultStream'))();
+  const text = JSON.stringify({ results: [
+    result(1, true, 'says "}]{" and a \\ backslash'),
+    result(2, false, 'nested [brackets] and {braces}')
+  ] });
+
+  const cut = text.indexOf('{"tweetIndex":2') + 5;
+  const first = plain(stream.push(text.slice(0, cut)));
+  assert.deepEqual(first.map(item => item.tweetIndex), [1]);
+  assert.equal(first[0].reasoning, 'says "}]{" and a \\ backslash');
+
+  const second = plain(stream.push(text.slice(cut)));
+  assert.deepEqual(second.map(item => item.tweetIndex), [2]);
+});
+
+for (const provider of ['gemini', 'openai', 'ollama']) {
+  test(`${provider}: verdicts are handed over before the response ends`, async () => {
+    const response = JSON.stringify({ results: [result(1, true, 'campaign rally'), result(2, false)] });
+    const background = loadBackground({ provider, respond: () => response });
+    const events = [];
+
+    const verdicts = plain(await background.call('analyzeBatchWithAPI', tweets(2), [POLITICS], (index, verdict) => {
+      events.push({ index, shouldFilter: verdict.shouldFilter, ruleId: verdict.ruleId });
+    }));
+    events.push('done');
+
+    assert.deepEqual(events, [
+      { index: 0, shouldFilter: true, ruleId: 'rule-politics' },
+      { index: 1, shouldFilter: false, ruleId: null },
+      'done'
+    ]);
+    assert.equal(verdicts[0].details, 'campaign rally');
+    assert.equal(verdicts[1].shouldFilter, false);
+  });
+}
+
+test('a tweet answered twice keeps its streamed verdict only until the response ends', async () => {
+  const response = JSON.stringify({ results: [result(1, false), result(2, false), result(1, true)] });
+  const background = loadBackground({ respond: () => response });
+  const streamed = [];
+
+  const verdicts = plain(await background.call('analyzeBatchWithAPI', tweets(2), [POLITICS], index => streamed.push(index)));
+  assert.deepEqual(streamed, [0, 1]);
+  assert.equal(verdicts[0].error, 'Invalid result returned');
+  assert.equal(verdicts[1].error, undefined);
+});
+
+test('invalid entries are not streamed', async () => {
+  const response = JSON.stringify({ results: [{ ...result(1, true), matchedRule: 7 }, result(5, false), result(2, false)] });
+  const background = loadBackground({ respond: () => response });
+  const streamed = [];
+
+  await background.call('analyzeBatchWithAPI', tweets(2), [POLITICS], index => streamed.push(index));
+  assert.deepEqual(streamed, [1]);
+});
+
+test('streaming can be turned off on the options page', async () => {
+  const response = JSON.stringify({ results: [result(1, false)] });
+  const background = loadBackground({ settings: { stream: false }, respond: () => response });
+  const streamed = [];
+
+  const [verdict] = plain(await background.call('analyzeBatchWithAPI', tweets(1), [POLITICS], index => streamed.push(index)));
+  assert.deepEqual(streamed, []);
+  assert.equal(verdict.shouldFilter, false);
+  assert.match(background.requests[0].url, /:generateContent\?/);
+});
+
+test('queued verdicts go to the tab over its verdict port, streamed and then final', async () => {
+  const response = JSON.stringify({ results: [result(1, true)] });
+  const background = loadBackground({ respond: () => response });
+  const posted = [];
+  background.run('verdictPorts').set('3:0', { postMessage: message => posted.push(...plain(message.verdicts)) });
+  background.run('chrome.tabs').sendMessage = async () => assert.fail('should use the port');
+
+  const [pending] = plain(await background.call('filterBatch', tweets(1), [POLITICS], SENDER, 'v1'));
+  assert.equal(pending.pending, true);
+  for (let i = 0; i < 50 && posted.length < 2; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.equal(posted.length, 2);
+  posted.forEach(({ id, verdict }) => {
+    assert.equal(id, '1');
+    assert.equal(verdict.shouldFilter, true);
+    assert.equal(verdict.filterVersion, 'v1');
+  });
+});
@@ -0,0 +1,84 @@
+// Twitter/X adapter against saved x.com pages: what each kind of post turns
+// into before it's sent to the model.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadContent } = require('./helpers/load-content');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+function extractAll(page) {
+  const adapter = page.run('detectSiteAdapter()');
+  return adapter.findPosts(page.document).map(article => JSON.parse(JSON.stringify(adapter.extractPost(article))));
+}
+
+test('each kind of timeline post is recognised', () => {
+  const page = loadContent(fixture('x-timeline.html'));
+  const [plain, quote, ad, repost, reply, photo] = extractAll(page);
+
+  assert.equal(plain.statusId, '1790000000000000001');
+  assert.equal(plain.permalink, 'https://x.com/samrivera/status/1790000000000000001');
+  assert.deepEqual(plain.author, { handle: 'samrivera', displayName: 'Sam Rivera' });
+  assert.equal(plain.timestamp, '2024-05-13T10:00:00.000Z');
+  assert.equal(plain.text, 'Made sourdough for the first time and it actually rose 🍞');
+  assert.equal(plain.language, 'en');
+  assert.equal(plain.isReply || plain.isPromoted || plain.isRepost, false);
+
+  assert.equal(quote.text, 'This is the only thing worth reading today');
+  assert.deepEqual(quote.quoted.author, { handle: 'capitoldesk', displayName: 'Capitol Desk' });
+  assert.equal(quote.quoted.text, 'The Senate votes on the budget bill tonight');
+  assert.equal(quote.statusId, '1790000000000000002');
+
+  assert.equal(ad.isPromoted, true);
+  assert.equal(repost.isRepost, true);
+  assert.equal(repost.repostedBy, 'Dana Lee');
+  assert.equal(reply.isReply, true);
+  assert.deepEqual(photo.media.map(item => item.type), ['photo']);
+  page.close();
+});
+
+test('on a conversation page each post knows the one it replies to', () => {
+  const page = loadContent(fixture('x-conversation.html'), { url: 'https://x.com/miachen/status/1790000000000000011' });
+  const [ancestor, focal, reply, otherReply] = extractAll(page);
+
+  assert.equal(ancestor.parent, null);
+  assert.equal(focal.parent.text, 'The budget bill passed the Senate 51 to 49');
+  assert.equal(focal.parent.author.handle, 'capitoldesk');
+  assert.equal(reply.parent.text, 'About time. Now fund the schools.');
+  assert.equal(otherReply.parent.author.handle, 'miachen');
+  page.close();
+});
+
+test('the same post off a conversation page has no parent', () => {
+  const page = loadContent(fixture('x-conversation.html'), { url: 'https://x.com/home' });
+  assert.ok(extractAll(page).every(post => post.parent === null));
+  page.close();
+});
+
+test('a conversation is read from the page once per pass, and again on the next', () => {
+  const page = loadContent(fixture('x-conversation.html'), { url: 'https://x.com/miachen/status/1790000000000000011' });
+  const adapter = page.run('detectSiteAdapter()');
+  const querySelectorAll = page.document.querySelectorAll;
+  let scans = 0;
+  page.document.querySelectorAll = function(selector) {
+    if (selector.includes('data-testid="tweet"')) scans++;
+    return querySelectorAll.call(this, selector);
+  };
+
+  adapter.startPass();
+  const posts = adapter.findPosts(page.document);
+  posts.forEach(article => adapter.extractPost(article));
+  assert.equal(scans, 2); // findPosts, then the conversation index
+
+  // A reply loaded above the focal post becomes its parent on the next pass
+  const [ancestor, focal] = posts;
+  const loaded = ancestor.cloneNode(true);
+  loaded.querySelector('[data-testid="tweetText"]').textContent = 'Loaded later';
+  loaded.querySelector('time').closest('a').setAttribute('href', '/capitoldesk/status/1790000000000000099');
+  focal.before(loaded);
+  adapter.startPass();
+  assert.equal(adapter.extractPost(focal).parent.text, 'Loaded later');
+  page.close();
+});